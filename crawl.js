@@ -1,12 +1,127 @@
-const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
 const sqlite3 = require('sqlite3');
-const { promisify } = require('util');
+const { promisify, parseArgs } = require('util');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { migrate } = require('./lib/schema');
+const { FetchError, fetchUrl, mapWithConcurrency } = require('./lib/fetch');
+const { discoverPages } = require('./lib/discover');
+const { buildComponents } = require('./lib/components');
+const { buildComponentApi } = require('./lib/component-api');
+const { buildExampleMetadata } = require('./lib/example-metadata');
+const { buildSimilarityIndex } = require('./lib/similarity');
+const { buildSections } = require('./lib/sections');
+const { stripHtml, extractCodeExamples } = require('./lib/html');
+const { DEFAULT_ECL_VERSION, normalizeVersion } = require('./lib/versions');
+const { DEFAULT_FLAVOUR, normalizeFlavour } = require('./lib/flavours');
+const { takeSnapshot, diffSnapshots, hasChanges, formatChanges, formatChangelog } = require('./lib/changes');
+
+// Canonical location of the documentation. URLs are always stored in this
+// form, wherever the HTML was actually fetched from.
+const CANONICAL_BASE_URL = 'https://ec.europa.eu/component-library/';
+
+// Command line options
+//   --ecl-version <x.y.z> ECL release the crawled pages belong to (default
+//                         4.11.1). Each release is stored separately; use
+//                         --base-url to point at that release's docs.
+//   --flavour <ec|eu>     ECL flavour to crawl (default ec). EU pages live
+//                         under /component-library/eu/; the EC URLs in
+//                         pages-to-crawl.txt are mapped onto it.
+//   --base-url <url|dir>  Fetch pages from a mirror instead of the live site.
+//                         Accepts http(s)://, file:// or a local directory laid
+//                         out like the site (ec/components/button/code/index.html).
+//   --concurrency <n>     Pages fetched in parallel (default 4)
+//   --retries <n>         Retries for timeouts, network errors and 5xx (default 3)
+//   --timeout <ms>        Per-request timeout (default 30000)
+//   --dry-run             Build as usual, report what would change, keep the
+//                         current database untouched
+//   --refresh             Re-fetch pages already in the database (conditional
+//                         requests with ETag/Last-Modified) instead of only
+//                         rebuilding them from stored HTML. Pages answering
+//                         404 or 410 are removed
+//   --changelog <file>    Append a markdown changelog of this run to <file>
+//   --discover            Find pages by walking the site navigation (and
+//                         sitemap.xml if there is one) from the getting-started
+//                         page, in addition to pages-to-crawl.txt
+//   --allow-list          With --discover, only crawl pages listed in
+//                         pages-to-crawl.txt; discovery just reports the drift
+const { values: options } = parseArgs({
+  options: {
+    'ecl-version': { type: 'string', default: DEFAULT_ECL_VERSION },
+    flavour: { type: 'string', default: DEFAULT_FLAVOUR },
+    discover: { type: 'boolean', default: false },
+    'allow-list': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    refresh: { type: 'boolean', default: false },
+    changelog: { type: 'string' },
+    'base-url': { type: 'string' },
+    concurrency: { type: 'string', default: '4' },
+    retries: { type: 'string', default: '3' },
+    timeout: { type: 'string', default: '30000' },
+  },
+});
+
+const fetchOptions = {
+  retries: parseInt(options.retries, 10),
+  timeout: parseInt(options.timeout, 10),
+  onRetry: (error, attempt, delay) => {
+    console.log(`  ⏳ ${error.url}: ${error.message}, retry ${attempt} in ${delay}ms`);
+  },
+};
+const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+
+const sourceBaseUrl = normalizeBaseUrl(options['base-url'] || CANONICAL_BASE_URL);
+if (sourceBaseUrl !== CANONICAL_BASE_URL) {
+  console.log(`Using mirror: ${sourceBaseUrl}`);
+}
+
+const eclVersion = normalizeVersion(options['ecl-version']);
+const flavour = normalizeFlavour(options.flavour);
+console.log(`Crawling ECL v${eclVersion} (${flavour.toUpperCase()})`);
+
+// Root of the crawled flavour's pages, e.g. .../component-library/eu/
+const flavourBaseUrl = `${CANONICAL_BASE_URL}${flavour}/`;
+
+// The crawl never writes to the live database. It builds a copy next to it
+// and renames it over the live file once the whole crawl has completed, so a
+// crash or network failure halfway leaves the previous database intact.
+const dbPath = path.resolve('ecl-database.sqlite');
+const buildPath = `${dbPath}.building`;
+
+let db;
+let dbGet;
+let dbRun;
+let dbAll;
+
+function openDatabase(filename, mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE) {
+  return new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(filename, mode, err => err ? reject(err) : resolve(handle));
+  });
+}
+
+// Start the build database from a consistent copy of the live one, so pages
+// crawled before are rebuilt from their stored HTML instead of re-fetched
+async function openBuildDatabase() {
+  fs.rmSync(buildPath, { force: true });
+  fs.rmSync(`${buildPath}-journal`, { force: true });
+
+  if (fs.existsSync(dbPath)) {
+    const live = await openDatabase(dbPath, sqlite3.OPEN_READONLY);
+    await promisify(live.run.bind(live))('VACUUM INTO ?', [buildPath]);
+    await promisify(live.close.bind(live))();
+  }
+
+  db = await openDatabase(buildPath);
+  dbGet = promisify(db.get.bind(db));
+  dbRun = promisify(db.run.bind(db));
+  dbAll = promisify(db.all.bind(db));
+}
 
-// Open database
-const db = new sqlite3.Database('./ecl-database.sqlite');
-const dbGet = promisify(db.get.bind(db));
-const dbRun = promisify(db.run.bind(db));
+function discardBuildDatabase() {
+  fs.rmSync(buildPath, { force: true });
+  fs.rmSync(`${buildPath}-journal`, { force: true });
+}
 
 // Wrapper for INSERT that returns lastID
 function dbInsert(sql, params) {
@@ -30,7 +145,9 @@ function parsePagesToCrawl() {
 
   for (const line of lines) {
     if (line.startsWith('http')) {
-      pages.push({ url: line, category: currentCategory });
+      // The list is written for EC; other flavours mirror its structure
+      const url = line.replace(`${CANONICAL_BASE_URL}${DEFAULT_FLAVOUR}/`, flavourBaseUrl);
+      pages.push({ url, category: currentCategory });
     } else {
       currentCategory = line;
     }
@@ -39,18 +156,72 @@ function parsePagesToCrawl() {
   return pages;
 }
 
-const pagesToCrawl = parsePagesToCrawl();
-console.log(`Found ${pagesToCrawl.length} URLs to crawl`);
+// pages-to-crawl.txt: the full list normally, an override of discovered
+// categories and optional allow-list with --discover
+const listedPages = parsePagesToCrawl();
+console.log(`Found ${listedPages.length} URLs in pages-to-crawl.txt`);
+let pagesToCrawl = listedPages;
+
+// Turn a --base-url value into a URL with a trailing slash.
+// Plain paths are treated as local mirror directories.
+function normalizeBaseUrl(base) {
+  const url = /^(https?|file):\/\//i.test(base)
+    ? base
+    : pathToFileURL(path.resolve(base)).href;
+  return url.endsWith('/') ? url : `${url}/`;
+}
 
-// Fetch HTML from URL
-function fetchPage(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    }).on('error', reject);
-  });
+// Map a canonical documentation URL onto the configured source
+function resolveSourceUrl(canonicalUrl) {
+  if (!canonicalUrl.startsWith(CANONICAL_BASE_URL)) {
+    return canonicalUrl;
+  }
+  return sourceBaseUrl + canonicalUrl.substring(CANONICAL_BASE_URL.length);
+}
+
+// Pages already downloaded during discovery, by canonical URL
+const prefetched = new Map();
+
+// Fetch HTML from URL (http, https or file).
+// Resolves with { html, etag, lastModified, notModified }; `headers` are sent
+// with http(s) requests for conditional fetches.
+// Rejects with a FetchError for non-2xx responses and missing mirror files.
+async function fetchPage(url, headers = {}) {
+  if (prefetched.has(url)) {
+    const result = prefetched.get(url);
+    prefetched.delete(url);
+    return result;
+  }
+
+  const sourceUrl = resolveSourceUrl(url);
+
+  if (sourceUrl.startsWith('file:')) {
+    // Saved pages: directory URLs are stored as index.html
+    let filePath = fileURLToPath(sourceUrl);
+    if (sourceUrl.endsWith('/')) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    try {
+      const html = await fs.promises.readFile(filePath, 'utf-8');
+      return { html, etag: null, lastModified: null, notModified: false };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new FetchError(`Not found in mirror: ${filePath}`, sourceUrl, 404);
+      }
+      throw error;
+    }
+  }
+
+  const response = await fetchUrl(sourceUrl, { ...fetchOptions, headers });
+  if (response.url !== sourceUrl) {
+    console.log(`  ↪️  Redirected to ${response.url}`);
+  }
+  return {
+    html: response.body,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    notModified: response.statusCode === 304,
+  };
 }
 
 // Extract title from HTML
@@ -64,119 +235,239 @@ function extractTitle(html) {
   return parts[0].trim();
 }
 
-// Strip HTML tags and decode entities to get plain text
-function stripHtml(html) {
-  return html
-    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
-    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')   // Remove styles
-    .replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '')       // Remove navigation
-    .replace(/<header[^>]*>[\s\S]*?<\/header>/gi, '') // Remove headers
-    .replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '') // Remove footers
-    .replace(/<[^>]+>/g, ' ')                          // Remove all tags
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&nbsp;/g, ' ')
-    .replace(/\s+/g, ' ')                              // Normalize whitespace
-    .trim();
+// Extract hierarchy from URL
+function extractHierarchy(url) {
+  const prefix = flavourBaseUrl;
+  if (!url.startsWith(prefix)) {
+    return [null, null, null, null];
+  }
+
+  const path = url.substring(prefix.length);
+  const parts = path.split('/').filter(p => p);
+
+  return [
+    parts[0] || null,
+    parts[1] || null,
+    parts[2] || null,
+    parts[3] || null
+  ];
 }
 
-// Extract code examples from HTML
-function extractCodeExamples(html) {
-  const examples = [];
-  const preRegex = /<pre[^>]*>\s*<code[^>]*>([\s\S]*?)<\/code>\s*<\/pre>/gi;
-  let match;
-  let index = 0;
-
-  while ((match = preRegex.exec(html)) !== null) {
-    let code = match[1]
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&amp;/g, '&')
-      .replace(/&quot;/g, '"')
-      .replace(/&#39;/g, "'");
-
-    // Strip syntax highlighting spans (e.g., <span class="token tag">)
-    code = code.replace(/<span[^>]*>/g, '').replace(/<\/span>/g, '');
-
-    // Normalize whitespace: collapse all line breaks and multiple spaces into single spaces
-    code = code.replace(/\s+/g, ' ');
-
-    // List of inline elements that shouldn't cause line breaks
-    const inlineTags = ['span', 'a', 'strong', 'em', 'b', 'i', 'code', 'small', 'svg', 'use', 'path'];
-    
-    // List of inline container elements that should keep their content on one line
-    const inlineContainers = ['label', 'legend', 'button'];
-
-    // Add line breaks only after block-level closing tags (but NOT after inline containers)
-    const blockPattern = new RegExp(`</((?!(?:${inlineTags.join('|')}|${inlineContainers.join('|')})[>\\s])[^>]+)>`, 'g');
-    code = code.replace(blockPattern, '</$1>\n');
-
-    // Add line breaks before block-level opening tags (but not if preceded by opening tag or inside inline containers)
-    const blockOpenPattern = new RegExp(`([^>])\\s*<((?!(?:${inlineTags.join('|')}|${inlineContainers.join('|')}|/)[>\\s])[a-z][^>]*)>`, 'gi');
-    code = code.replace(blockOpenPattern, '$1\n<$2>');
-
-    // Clean up multiple newlines
-    code = code.replace(/\n{2,}/g, '\n');
-
-    // Basic indentation
-    const lines = code.split('\n');
-    let indent = 0;
-    const formatted = lines.map(line => {
-      line = line.trim();
-      if (!line) return '';
-
-      // Check if this is a closing tag
-      if (line.match(/^<\/[^>]+>/)) {
-        indent = Math.max(0, indent - 1);
-      }
+// Hash of what we index from a page (text and examples), so markup-only
+// changes upstream (asset hashes, tracking attributes) do not count as edits
+function hashPage(html) {
+  const examples = extractCodeExamples(html).map(example => example.code);
+  return crypto.createHash('sha1')
+    .update(stripHtml(html))
+    .update(examples.join('\n'))
+    .digest('hex');
+}
+
+// Statuses that mean a page is gone upstream, not just unreachable
+const GONE_STATUSES = [404, 410];
+
+// Re-fetch a stored page. Returns { html, title, changed }, falling back to
+// the stored HTML if the page is unchanged or cannot be fetched, or
+// { gone: status } if it answers 404 or 410.
+async function refreshPage(page, existing) {
+  const headers = {};
+  if (existing.etag) headers['If-None-Match'] = existing.etag;
+  if (existing.last_modified) headers['If-Modified-Since'] = existing.last_modified;
+
+  const now = new Date().toISOString();
+  let fetched;
+  try {
+    console.log(`🔁 Refreshing: ${resolveSourceUrl(page.url)}`);
+    fetched = await fetchPage(page.url, headers);
+  } catch (error) {
+    if (GONE_STATUSES.includes(error.status)) {
+      console.log(`  👻 Gone upstream (${error.status}): ${page.url}`);
+      return { gone: error.status };
+    }
+    console.error(`❌ Error refreshing ${page.url}, keeping stored copy:`, error.message);
+    failures.push({ url: page.url, status: error.status || error.code || 'error', message: error.message });
+    return { html: existing.html, title: existing.title, changed: false };
+  }
+
+  if (fetched.notModified) {
+    await dbRun('UPDATE pages SET fetched_at = ? WHERE id = ?', [now, existing.id]);
+    return { html: existing.html, title: existing.title, changed: false };
+  }
+
+  // The stored copy is hashed again rather than trusting content_hash, which
+  // an older extractor may have computed: a change in how pages are parsed
+  // is not a change upstream
+  const newHash = hashPage(fetched.html);
+  const oldHash = hashPage(existing.html);
+  const changed = newHash !== oldHash;
 
-      const indented = '  '.repeat(indent) + line;
+  await dbRun(
+    'UPDATE pages SET etag = ?, last_modified = ?, content_hash = ?, fetched_at = ?, changed_at = ? WHERE id = ?',
+    [fetched.etag, fetched.lastModified, newHash, now, changed ? now : existing.changed_at, existing.id]
+  );
 
-      // Check if this line opens a tag that should increase indent
-      // Must start with <tag, not be self-closing, and not have closing tag on same line
-      if (line.match(/^<[a-z]/i) && !line.match(/\/>$/) && !line.match(/<\/[^>]+>$/)) {
-        indent++;
+  if (!changed) {
+    return { html: existing.html, title: existing.title, changed: false };
+  }
+  return { html: fetched.html, title: extractTitle(fetched.html), changed: true };
+}
+
+// Drop a page and what was derived from it, so it shows up as removed in the
+// change report. Foreign keys are not enforced, hence the explicit deletes.
+async function removePage(pageId) {
+  await dbRun('DELETE FROM examples WHERE page_id = ?', [pageId]);
+  await dbRun('DELETE FROM component_api WHERE page_id = ?', [pageId]);
+  await dbRun('DELETE FROM page_sections WHERE page_id = ?', [pageId]);
+  await dbRun('DELETE FROM pages WHERE id = ?', [pageId]);
+}
+
+// Crawl a single page: rebuild it from stored HTML if we already have it
+// (re-fetching it first with --refresh, or when page.verify asks to check
+// that it still exists), otherwise fetch it. A stored page gone upstream is
+// removed. Returns 'rebuilt', 'updated', 'removed' or 'crawled'.
+async function crawlPage(page) {
+  const [h1, h2, h3, h4] = extractHierarchy(page.url);
+
+  // Check if already exists
+  const existing = await dbGet(
+    'SELECT id, html, title, etag, last_modified, changed_at FROM pages WHERE url = ? AND ecl_version = ?',
+    [page.url, eclVersion]
+  );
+
+  if (existing) {
+    let { html, title } = existing;
+    let result = 'rebuilt';
+
+    if (options.refresh || page.verify) {
+      const refreshed = await refreshPage(page, existing);
+      if (refreshed.gone) {
+        await removePage(existing.id);
+        removedPages.push({ url: page.url, status: refreshed.gone });
+        return 'removed';
+      }
+      ({ html, title } = refreshed);
+      if (refreshed.changed) {
+        result = 'updated';
+        console.log(`  ✏️  Changed upstream: ${title}`);
       }
+    }
 
-      return indented;
-    }).filter(line => line);
+    // Update metadata, rebuild content, and rebuild examples from stored HTML
+    console.log(`🔄 Rebuilding: ${title}`);
+    const content = stripHtml(html);
 
-    code = formatted.join('\n');
+    await dbRun(
+      'UPDATE pages SET title = ?, html = ?, category = ?, hierarchy_1 = ?, hierarchy_2 = ?, hierarchy_3 = ?, hierarchy_4 = ?, content = ? WHERE id = ?',
+      [title, html, page.category, h1, h2, h3, h4, content, existing.id]
+    );
 
-    // Try to find a heading before this code block
-    const beforeCode = html.substring(0, match.index);
-    const headingMatch = beforeCode.match(/<h[2-6][^>]*>([^<]+)<\/h[2-6]>(?:(?!<h[2-6]).)*$/is);
-    const label = headingMatch ? headingMatch[1].trim() : null;
+    // Update FTS with lowercased content
+    await dbRun(
+      'UPDATE pages_fts SET title = LOWER(?), content = LOWER(?) WHERE rowid = ?',
+      [title, content, existing.id]
+    );
 
-    examples.push({
-      code: code.trim(),
-      label,
-      position: index++
-    });
+    // Extract and save code examples from stored HTML
+    const examples = extractCodeExamples(html);
+    for (const example of examples) {
+      await dbRun(
+        'INSERT INTO examples (page_id, code, source, label, position) VALUES (?, ?, ?, ?, ?)',
+        [existing.id, example.code, example.source, example.label, example.position]
+      );
+    }
+
+    console.log(`  ✅ Rebuilt ${examples.length} examples`);
+    return result;
+  }
+
+  // Fetch new page
+  console.log(`📥 Fetching [${page.category}]: ${resolveSourceUrl(page.url)}`);
+  const { html, etag, lastModified } = await fetchPage(page.url);
+  const title = extractTitle(html);
+  const content = stripHtml(html);
+  const now = new Date().toISOString();
+
+  // Save to database
+  const pageId = await dbInsert(
+    `INSERT INTO pages (url, ecl_version, flavour, title, html, content, category, hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4,
+       etag, last_modified, content_hash, fetched_at, changed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [page.url, eclVersion, flavour, title, html, content, page.category, h1, h2, h3, h4, etag, lastModified, hashPage(html), now, now]
+  );
+
+  // Update FTS with lowercased content for case-insensitive search
+  await dbRun(
+    'INSERT INTO pages_fts(rowid, title, content) VALUES (?, LOWER(?), LOWER(?))',
+    [pageId, title, content]
+  );
+
+  // Extract and save code examples
+  const examples = extractCodeExamples(html);
+  for (const example of examples) {
+    await dbRun(
+      'INSERT INTO examples (page_id, code, source, label, position) VALUES (?, ?, ?, ?, ?)',
+      [pageId, example.code, example.source, example.label, example.position]
+    );
   }
 
-  return examples;
+  console.log(`✅ Saved: ${title || page.url} (${examples.length} examples)`);
+  return 'crawled';
 }
 
-// Extract hierarchy from URL
-function extractHierarchy(url) {
-  const prefix = 'https://ec.europa.eu/component-library/ec/';
-  if (!url.startsWith(prefix)) {
-    return [null, null, null, null];
+// Pages that could not be fetched during this run
+const failures = [];
+
+// Stored pages removed during this run because they are gone upstream
+const removedPages = [];
+
+// Build the crawl list from the site navigation, with pages-to-crawl.txt as
+// category override (and allow-list with --allow-list). Reports pages that
+// are new upstream and listed pages that were not found.
+async function discoverPagesToCrawl() {
+  const scope = flavourBaseUrl;
+  console.log(`🧭 Discovering pages from ${resolveSourceUrl(`${scope}getting-started/`)}`);
+
+  const discovered = await discoverPages({
+    startUrl: `${scope}getting-started/`,
+    sitemapUrl: `${CANONICAL_BASE_URL}sitemap.xml`,
+    scope,
+    listedPages,
+    concurrency,
+    fetchHtml: async (url) => {
+      const result = await fetchPage(url);
+      prefetched.set(url, result);
+      return result.html;
+    },
+    log: message => console.log(`  ${message}`),
+  });
+
+  const discoveredUrls = new Set(discovered.map(page => page.url));
+  const listedUrls = new Set(listedPages.map(page => page.url));
+  const newUpstream = discovered.filter(page => !listedUrls.has(page.url));
+  const missingUpstream = listedPages.filter(page => !discoveredUrls.has(page.url));
+  // Fetched again even without --refresh: removed if gone, kept otherwise
+  const checkedListedPages = listedPages.map(page => (discoveredUrls.has(page.url) ? page : { ...page, verify: true }));
+
+  console.log(`🧭 Discovered ${discovered.length} pages`);
+  if (newUpstream.length > 0) {
+    console.log(`\n🆕 New upstream, not in pages-to-crawl.txt (${newUpstream.length}):`);
+    for (const page of newUpstream) {
+      console.log(`  [${page.category}] ${page.url}`);
+    }
+  }
+  if (missingUpstream.length > 0) {
+    console.log(`\n👻 In pages-to-crawl.txt but not found upstream, fetched again to check (${missingUpstream.length}):`);
+    for (const page of missingUpstream) {
+      console.log(`  [${page.category}] ${page.url}`);
+    }
   }
 
-  const path = url.substring(prefix.length);
-  const parts = path.split('/').filter(p => p);
+  if (options['allow-list']) {
+    return checkedListedPages;
+  }
 
-  return [
-    parts[0] || null,
-    parts[1] || null,
-    parts[2] || null,
-    parts[3] || null
-  ];
+  // Listed pages keep their category from the file
+  return [...checkedListedPages, ...newUpstream];
 }
 
 // Main crawl function
@@ -184,88 +475,124 @@ async function crawl() {
   let crawled = 0;
   let updated = 0;
   let rebuilt = 0;
+  let removed = 0;
+
+  if (options.discover) {
+    pagesToCrawl = await discoverPagesToCrawl();
+  }
+  console.log(`\nCrawling ${pagesToCrawl.length} pages`);
+
+  await openBuildDatabase();
+
+  // Create tables or bring an older database up to date
+  await migrate(db, message => console.log(`🧱 ${message}`));
+
+  // What this version looked like before the crawl, for the change report
+  const before = await takeSnapshot(dbAll, eclVersion, flavour);
+
+  // Stored pages no longer listed (or discovered) are fetched again: removed
+  // if they are gone upstream, kept otherwise
+  const crawledUrls = new Set(pagesToCrawl.map(page => page.url));
+  const storedPages = await dbAll('SELECT url, category FROM pages WHERE ecl_version = ? AND flavour = ?', [eclVersion, flavour]);
+  const unlistedPages = storedPages
+    .filter(page => !crawledUrls.has(page.url))
+    .map(page => ({ url: page.url, category: page.category, verify: true }));
+  if (unlistedPages.length > 0) {
+    console.log(`🔎 Checking ${unlistedPages.length} stored pages no longer listed`);
+    pagesToCrawl = [...pagesToCrawl, ...unlistedPages];
+  }
 
-  // Clear existing examples (they will be re-added)
+  // Everything below runs in one transaction on the build copy
+  await dbRun('BEGIN');
+
+  // Clear existing examples of this version and flavour (they will be re-added)
   console.log('🗑️  Clearing existing examples...');
-  await dbRun('DELETE FROM examples');
+  await dbRun(
+    'DELETE FROM examples WHERE page_id IN (SELECT id FROM pages WHERE ecl_version = ? AND flavour = ?)',
+    [eclVersion, flavour]
+  );
 
-  for (const page of pagesToCrawl) {
+  // Fetch a few pages at a time instead of hammering the server
+  await mapWithConcurrency(pagesToCrawl, concurrency, async (page) => {
     try {
-      const [h1, h2, h3, h4] = extractHierarchy(page.url);
-
-      // Check if already exists
-      const existing = await dbGet('SELECT id, html, title FROM pages WHERE url = ?', [page.url]);
-
-      if (existing) {
-        // Update metadata, rebuild content, and rebuild examples from stored HTML
-        console.log(`🔄 Rebuilding: ${existing.title}`);
-        const content = stripHtml(existing.html);
-        
-        await dbRun(
-          'UPDATE pages SET category = ?, hierarchy_1 = ?, hierarchy_2 = ?, hierarchy_3 = ?, hierarchy_4 = ?, content = ? WHERE id = ?',
-          [page.category, h1, h2, h3, h4, content, existing.id]
-        );
-        
-        // Update FTS with lowercased content
-        await dbRun(
-          'UPDATE pages_fts SET content = LOWER(?) WHERE rowid = ?',
-          [content, existing.id]
-        );
-        
-        // Extract and save code examples from stored HTML
-        const examples = extractCodeExamples(existing.html);
-        for (const example of examples) {
-          await dbRun(
-            'INSERT INTO examples (page_id, code, label, position) VALUES (?, ?, ?, ?)',
-            [existing.id, example.code, example.label, example.position]
-          );
-        }
-        
+      const result = await crawlPage(page);
+      if (result === 'rebuilt') {
         rebuilt++;
-        console.log(`  ✅ Rebuilt ${examples.length} examples`);
-        continue;
+      } else if (result === 'updated') {
+        updated++;
+      } else if (result === 'removed') {
+        removed++;
+      } else {
+        crawled++;
       }
+    } catch (error) {
+      console.error(`❌ Error crawling ${page.url}:`, error.message);
+      failures.push({ url: page.url, status: error.status || error.code || 'error', message: error.message });
+    }
+  });
 
-      // Fetch new page
-      console.log(`📥 Fetching [${page.category}]: ${page.url}`);
-      const html = await fetchPage(page.url);
-      const title = extractTitle(html);
-      const content = stripHtml(html);
-
-      // Save to database
-      const pageId = await dbInsert(
-        'INSERT INTO pages (url, title, html, content, category, hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [page.url, title, html, content, page.category, h1, h2, h3, h4]
-      );
-
-      // Update FTS with lowercased content for case-insensitive search
-      await dbRun(
-        'INSERT INTO pages_fts(rowid, title, content) VALUES (?, LOWER(?), LOWER(?))',
-        [pageId, title, content]
-      );
+  console.log(`\n✨ Done! Crawled: ${crawled}, Rebuilt: ${rebuilt}, Updated: ${updated}, Removed: ${removed}, Failed: ${failures.length}`);
 
-      // Extract and save code examples
-      const examples = extractCodeExamples(html);
-      for (const example of examples) {
-        await dbRun(
-          'INSERT INTO examples (page_id, code, label, position) VALUES (?, ?, ?, ?)',
-          [pageId, example.code, example.label, example.position]
-        );
-      }
+  if (removedPages.length > 0) {
+    console.log(`\n🗑️  Removed, gone upstream:`);
+    for (const page of removedPages) {
+      console.log(`  [${page.status}] ${page.url}`);
+    }
+  }
 
-      console.log(`✅ Saved: ${title || page.url} (${examples.length} examples)`);
-      crawled++;
+  if (failures.length > 0) {
+    console.log(`\n⚠️  Failed URLs:`);
+    for (const failure of failures) {
+      console.log(`  [${failure.status}] ${failure.url} - ${failure.message}`);
+    }
+    process.exitCode = 1;
+  }
 
-      // Be nice to the server
-      await new Promise(resolve => setTimeout(resolve, 500));
+  // Rebuild the derived data of this build in the crawl's transaction; the
+  // builder contract is described in lib/build-db.js.
+  // Group usage/code/api pages into the component registry
+  const componentCount = await buildComponents({ dbRun, dbAll, eclVersion, flavour });
+  console.log(`🧩 Registered ${componentCount} components`);
+  const apiCount = await buildComponentApi({ dbRun, dbAll, eclVersion, flavour });
+  console.log(`📑 Extracted ${apiCount} API entries`);
+  const exampleCount = await buildExampleMetadata({ dbRun, dbAll, eclVersion, flavour });
+  console.log(`🏷️  Classified ${exampleCount} examples`);
+  const similarCount = await buildSimilarityIndex({ dbRun, dbAll, eclVersion, flavour });
+  console.log(`🔗 Indexed ${similarCount} examples for similarity search`);
+  const sectionCount = await buildSections({ dbRun, dbAll, eclVersion, flavour });
+  console.log(`📚 Indexed ${sectionCount} page sections`);
+
+  await dbRun('COMMIT');
+
+  // Report the difference between the previous and the new build
+  const changes = diffSnapshots(before, await takeSnapshot(dbAll, eclVersion, flavour));
+  console.log(`\n📋 ${options['dry-run'] ? 'Changes that would be applied' : 'Changes'}:`);
+  console.log(hasChanges(changes) ? formatChanges(changes) : '  No changes');
+
+  await promisify(db.close.bind(db))();
+
+  if (options['dry-run']) {
+    discardBuildDatabase();
+    console.log('\n🧪 Dry run: database left untouched');
+    return;
+  }
 
-    } catch (error) {
-      console.error(`❌ Error crawling ${page.url}:`, error.message);
-    }
+  if (options.changelog && hasChanges(changes)) {
+    fs.appendFileSync(options.changelog, formatChangelog(changes, new Date(), eclVersion, flavour));
+    console.log(`📝 Changelog written to ${options.changelog}`);
   }
 
-  console.log(`\n✨ Done! Crawled: ${crawled}, Rebuilt: ${rebuilt}, Updated: ${updated}`);
-  db.close();
+  // Atomic on the same filesystem: readers see either the old or the new file
+  fs.renameSync(buildPath, dbPath);
+  console.log(`\n💾 Database updated: ${dbPath}`);
 }
 
-crawl();
+crawl().catch((error) => {
+  console.error(`\n❌ Crawl aborted, database left untouched: ${error.message}`);
+  if (db) {
+    db.close(() => discardBuildDatabase());
+  } else {
+    discardBuildDatabase();
+  }
+  process.exitCode = 1;
+});
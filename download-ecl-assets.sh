@@ -5,10 +5,14 @@
 
 set -e
 
-ECL_VERSION="4.11.1"
-BASE_URL="https://cdn1.fpfis.tech.ec.europa.eu/ecl/v${ECL_VERSION}/ec"
+# Version and flavour can be overridden:
+#   ECL_VERSION=4.10.0 ECL_FLAVOUR=eu ./download-ecl-assets.sh
+# ECL_FLAVOUR is "ec" (European Commission) or "eu" (European Union)
+ECL_VERSION="${ECL_VERSION:-4.11.1}"
+ECL_FLAVOUR="${ECL_FLAVOUR:-ec}"
+BASE_URL="https://cdn1.fpfis.tech.ec.europa.eu/ecl/v${ECL_VERSION}/${ECL_FLAVOUR}"
 
-echo "Downloading ECL v${ECL_VERSION} assets..."
+echo "Downloading ECL v${ECL_VERSION} (${ECL_FLAVOUR}) assets..."
 
 # Create directory structure
 mkdir -p assets/css
@@ -20,13 +24,13 @@ mkdir -p assets/images/logo/negative
 # Download CSS files
 echo "Downloading CSS files..."
 curl -o assets/css/ecl-reset.css "${BASE_URL}/styles/optional/ecl-reset.css"
-curl -o assets/css/ecl-ec.css "${BASE_URL}/styles/ecl-ec.css"
-curl -o assets/css/ecl-ec-utilities.css "${BASE_URL}/styles/optional/ecl-ec-utilities.css"
-curl -o assets/css/ecl-ec-print.css "${BASE_URL}/styles/optional/ecl-ec-print.css"
+curl -o "assets/css/ecl-${ECL_FLAVOUR}.css" "${BASE_URL}/styles/ecl-${ECL_FLAVOUR}.css"
+curl -o "assets/css/ecl-${ECL_FLAVOUR}-utilities.css" "${BASE_URL}/styles/optional/ecl-${ECL_FLAVOUR}-utilities.css"
+curl -o "assets/css/ecl-${ECL_FLAVOUR}-print.css" "${BASE_URL}/styles/optional/ecl-${ECL_FLAVOUR}-print.css"
 
 # Download JavaScript
 echo "Downloading JavaScript files..."
-curl -o assets/js/ecl-ec.js "${BASE_URL}/scripts/ecl-ec.js"
+curl -o "assets/js/ecl-${ECL_FLAVOUR}.js" "${BASE_URL}/scripts/ecl-${ECL_FLAVOUR}.js"
 
 # Download icon sprite
 echo "Downloading icon sprites..."
@@ -43,12 +47,17 @@ fi
 
 # Download logos
 echo "Downloading logos..."
-curl -o assets/icons/logo-ec.svg "${BASE_URL}/images/logo/positive/logo-ec--en.svg"
-curl -o assets/icons/logo-ec-negative.svg "${BASE_URL}/images/logo/negative/logo-ec--en.svg"
+if [ "${ECL_FLAVOUR}" = "eu" ]; then
+    curl -o assets/icons/logo-eu.svg "${BASE_URL}/images/logo/standard-version/positive/logo-eu--en.svg"
+    curl -o assets/icons/logo-eu-negative.svg "${BASE_URL}/images/logo/standard-version/negative/logo-eu--en.svg"
+else
+    curl -o assets/icons/logo-ec.svg "${BASE_URL}/images/logo/positive/logo-ec--en.svg"
+    curl -o assets/icons/logo-ec-negative.svg "${BASE_URL}/images/logo/negative/logo-ec--en.svg"
 
-# Download additional common logos
-curl -o assets/images/logo/positive/logo-ec--mute.svg "${BASE_URL}/images/logo/positive/logo-ec--mute.svg"
-curl -o assets/images/logo/negative/logo-ec--mute.svg "${BASE_URL}/images/logo/negative/logo-ec--mute.svg"
+    # Download additional common logos
+    curl -o assets/images/logo/positive/logo-ec--mute.svg "${BASE_URL}/images/logo/positive/logo-ec--mute.svg"
+    curl -o assets/images/logo/negative/logo-ec--mute.svg "${BASE_URL}/images/logo/negative/logo-ec--mute.svg"
+fi
 
 echo "Download complete!"
 echo "Assets downloaded to assets/ directory"
\ No newline at end of file
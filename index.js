@@ -6,15 +6,449 @@ const {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
-const sqlite3 = require('sqlite3');
 const { promisify } = require('util');
 const path = require('path');
 const fs = require('fs');
-
-// Open database - use absolute path relative to this script
+const { openCheckedDatabase } = require('./lib/schema');
+const { buildDatabase } = require('./lib/build-db');
+const { DEFAULT_ECL_VERSION, normalizeVersion, sortVersions } = require('./lib/versions');
+const { FLAVOURS, DEFAULT_FLAVOUR, normalizeFlavour, applyFlavour } = require('./lib/flavours');
+const { loadValidationContext, extractMarkupClasses, closestName, validateMarkup } = require('./lib/validate');
+const { ICON_SETS, ICON_SIZES, ICON_COLORS, ICON_TRANSFORMS, iconMarkup } = require('./lib/icons');
+const { DIFFICULTIES } = require('./lib/recipes');
+const { searchWithFallback, buildAnyTermQuery, noResultsSuggestion } = require('./lib/search-query');
+const { extractFeatures, vectorize, cosine, inverseFrequency } = require('./lib/similarity');
+const { expandAliases } = require('./lib/aliases');
+const { searchMissesLogPath, logSearchMiss, reportSearchMisses } = require('./lib/search-misses');
+const { reportExtraction } = require('./lib/extraction-report');
+const { toMarkdown, extractOutline } = require('./lib/html');
+const { LOGO_SIZES, FOOTER_VARIANTS, ASSET_SOURCES, indentBlock, normalizeTemplateOptions, renderStarterTemplate } = require('./lib/template');
+
+// Database lives next to this script; it is opened and checked in main()
 const dbPath = path.join(__dirname, 'ecl-database.sqlite');
-const db = new sqlite3.Database(dbPath);
-const dbAll = promisify(db.all.bind(db));
+const searchMissesPath = searchMissesLogPath();
+let db;
+let dbAll;
+
+// ECL versions present in the database, newest first. With a flavour, only
+// versions crawled for that flavour.
+async function getIndexedVersions(flavour) {
+  const rows = flavour
+    ? await dbAll('SELECT DISTINCT ecl_version FROM pages WHERE flavour = ?', [flavour])
+    : await dbAll('SELECT DISTINCT ecl_version FROM pages');
+  return sortVersions(rows.map(row => row.ecl_version));
+}
+
+// Resolve a tool's optional `version` argument to an indexed ECL version,
+// defaulting to the newest one
+async function resolveVersion(requested, flavour) {
+  const versions = await getIndexedVersions(flavour);
+  if (requested === undefined || requested === null || requested === '') {
+    return versions[0] || DEFAULT_ECL_VERSION;
+  }
+
+  const version = normalizeVersion(requested);
+  if (!versions.includes(version)) {
+    throw new Error(
+      `ECL version ${version} is not indexed. Available versions: ${versions.join(', ') || 'none'}`
+    );
+  }
+  return version;
+}
+
+// Resolve the `version` argument of a tool reading one page by URL. The
+// URL names the flavour, so the default is the newest version that page is
+// indexed for rather than the newest version of any flavour.
+async function resolvePageVersion(url, requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    const rows = await dbAll('SELECT DISTINCT ecl_version FROM pages WHERE url = ?', [url]);
+    const versions = sortVersions(rows.map(row => row.ecl_version));
+    if (versions.length > 0) {
+      return versions[0];
+    }
+  }
+  return resolveVersion(requested);
+}
+
+// Shared input schemas for the optional `version` and `flavour` arguments
+const versionProperty = {
+  type: 'string',
+  description: 'ECL version, e.g. "4.11.1" (optional, defaults to the latest indexed version)',
+};
+
+const flavourProperty = {
+  type: 'string',
+  enum: Object.keys(FLAVOURS),
+  description: 'ECL flavour: "ec" for European Commission sites, "eu" for europa.eu (European Union) sites (optional, defaults to "ec")',
+};
+
+// Layout options shared by get_starter_template and compose_page
+const templateProperties = {
+  lang: {
+    type: 'string',
+    description: 'Page language, an official EU language code such as "fr" (optional, defaults to "en"; a region such as "fr-BE" is dropped). Sets <html lang> and the language selector.',
+  },
+  logo_size: {
+    type: 'string',
+    enum: LOGO_SIZES,
+    description: 'Site header logo size (optional, defaults to "l")',
+  },
+  menu: {
+    type: 'boolean',
+    description: 'Include the main navigation menu (default: true)',
+  },
+  language_selector: {
+    type: 'boolean',
+    description: 'Include the language selector in the site header (default: true)',
+  },
+  search: {
+    type: 'boolean',
+    description: 'Include the search form in the site header (default: true)',
+  },
+  page_header: {
+    type: 'boolean',
+    description: 'Include the page header with description (default: true)',
+  },
+  breadcrumb: {
+    type: 'boolean',
+    description: 'Include the breadcrumb in the page header (default: true)',
+  },
+  footer: {
+    type: 'string',
+    enum: FOOTER_VARIANTS,
+    description: '"full" (logo, social media, link columns), "simple" (logo and legal links) or "none" (default: "full")',
+  },
+  assets: {
+    type: 'string',
+    enum: ASSET_SOURCES,
+    description: '"local" to use files downloaded by download-ecl-assets.sh, "cdn" to load CSS, JS and logos from the ECL CDN (default: "local"). Icon sprites are always local.',
+  },
+  asset_path: {
+    type: 'string',
+    description: 'Path to the local assets directory from the page (default: "assets")',
+  },
+};
+
+// starter_template.html in the requested flavour and layout, with `content`
+// (when given) as the main content
+function buildStarterPage(options, version, flavour, content) {
+  const template = applyFlavour(fs.readFileSync(path.join(__dirname, 'starter_template.html'), 'utf8'), flavour)
+    .replace(/ECL Version: v[\d.]+/, `ECL Version: v${version}`);
+  return renderStarterTemplate(template, options, { version, flavour, content });
+}
+
+// Code for one compose_page section: { label, code }. Throws when the
+// section names no source, several, or one that does not exist.
+async function resolveComposeSection(section, position, version, flavour) {
+  const given = ['example_id', 'recipe_id', 'component'].filter(key => section[key] !== undefined && section[key] !== null);
+  if (given.length !== 1) {
+    throw new Error(`Section ${position} must have exactly one of example_id, recipe_id or component`);
+  }
+
+  if (section.example_id !== undefined && section.example_id !== null) {
+    const rows = await dbAll('SELECT id, COALESCE(label, inferred_label) as label, code FROM examples WHERE id = ?', [section.example_id]);
+    if (rows.length === 0) {
+      throw new Error(`Section ${position}: example ${section.example_id} not found. Use search_examples() to find example IDs.`);
+    }
+    return { label: `Example ${rows[0].id}: ${rows[0].label || 'Untitled'}`, code: rows[0].code };
+  }
+
+  if (section.recipe_id !== undefined && section.recipe_id !== null) {
+    // recipes.html holds the recipe's ```html blocks, as validated on import
+    const rows = await dbAll('SELECT id, title, html FROM recipes WHERE id = ?', [section.recipe_id]);
+    if (rows.length === 0) {
+      throw new Error(`Section ${position}: recipe ${section.recipe_id} not found. Use list_recipes() to find recipe IDs.`);
+    }
+    const code = rows[0].html;
+    if (!code) {
+      throw new Error(`Section ${position}: recipe ${section.recipe_id} has no HTML code`);
+    }
+    return { label: `Recipe ${rows[0].id}: ${rows[0].title}`, code };
+  }
+
+  const component = await findComponent(section.component, version, flavour);
+  if (!component) {
+    throw new Error(`Section ${position}: component "${section.component}" not found. Use list_components() to see available components.`);
+  }
+  const exampleIds = JSON.parse(component.example_ids);
+  const examples = exampleIds.length > 0
+    ? await dbAll(
+      `SELECT id, COALESCE(label, inferred_label) as label, code FROM examples WHERE id IN (${exampleIds.map(() => '?').join(', ')}) ORDER BY page_id, position`,
+      exampleIds
+    )
+    : [];
+  const example = section.label
+    ? examples.find(e => (e.label || '').toLowerCase().includes(section.label.toLowerCase()))
+    : examples[0];
+  if (!example) {
+    throw new Error(
+      `Section ${position}: component "${component.name}" has no example${section.label ? ` labelled "${section.label}"` : ''}. Use get_component(name="${component.slug}", include_code=false) to see its examples.`
+    );
+  }
+  return { label: `${component.name} - Example ${example.id}: ${example.label || 'Untitled'}`, code: example.code };
+}
+
+// Component whose usage, code or api page is `url`
+async function findComponentByUrl(url, version, flavour) {
+  const rows = await dbAll(
+    `SELECT * FROM components
+     WHERE ecl_version = ? AND flavour = ? AND ? IN (usage_url, code_url, api_url)
+     LIMIT 1`,
+    [version, flavour, url]
+  );
+  return rows[0] || null;
+}
+
+// Look a component up by name ("Text field"), slug ("text-field") or path
+// ("forms/text-field"). Components win over utilities with the same name.
+async function findComponent(name, version, flavour) {
+  const lowered = name.trim().toLowerCase();
+  const slug = lowered.replace(/\s+/g, '-');
+  const rows = await dbAll(
+    `SELECT * FROM components
+     WHERE ecl_version = ? AND flavour = ?
+       AND (LOWER(name) = ? OR slug = ? OR slug LIKE ? OR section || '/' || slug = ?)
+     ORDER BY CASE section WHEN 'components' THEN 0 ELSE 1 END, LENGTH(slug)
+     LIMIT 1`,
+    [version, flavour, lowered, slug, `%/${slug}`, slug]
+  );
+  return rows[0] || null;
+}
+
+// The section of a page that best matches a search: the first MATCH
+// expression of `ftsQueries` that matches a section wins, then FTS rank.
+// Returns { anchor, heading } or null.
+async function findBestSection(pageId, ftsQueries) {
+  for (const ftsQuery of ftsQueries.filter(q => q)) {
+    try {
+      const rows = await dbAll(
+        `SELECT s.anchor, s.heading
+         FROM page_sections_fts
+         JOIN page_sections s ON page_sections_fts.rowid = s.id
+         WHERE page_sections_fts MATCH ? AND s.page_id = ?
+         ORDER BY rank
+         LIMIT 1`,
+        [ftsQuery, pageId]
+      );
+      if (rows.length > 0) {
+        return rows[0];
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return null;
+}
+
+// Formats of get_documentation_page
+const PAGE_FORMATS = ['markdown', 'text', 'html', 'outline'];
+
+// Joins a page `p` to the component `c` it belongs to, if any; PAGE_TYPE_SQL
+// is then the page's tab of that component
+const PAGE_TYPES = ['usage', 'code', 'api'];
+const PAGE_COMPONENT_JOIN = `LEFT JOIN components c
+         ON c.ecl_version = p.ecl_version AND c.flavour = p.flavour AND p.url IN (c.usage_url, c.code_url, c.api_url)`;
+const PAGE_TYPE_SQL = `CASE p.url WHEN c.usage_url THEN 'usage' WHEN c.code_url THEN 'code' WHEN c.api_url THEN 'api' ELSE 'other' END`;
+
+// SQL conditions for the category, page_type, component and has_examples
+// filters of the search tools, on `p` and `c` (see PAGE_COMPONENT_JOIN).
+// For search_examples (`examples`), component is the example's own
+// component and the variant, needs_js, icon and has_images filters apply
+// to the example `e`; has_examples does not.
+// Returns { sql, params, applied }; throws on an unknown page type or
+// component.
+async function searchFilters(args, version, flavour, { examples = false } = {}) {
+  const flag = value => value !== false && value !== 'false';
+  const conditions = [];
+  const params = [];
+  const applied = {};
+
+  if (args.category) {
+    conditions.push('LOWER(p.category) = ?');
+    params.push(String(args.category).trim().toLowerCase());
+    applied.category = args.category;
+  }
+  if (args.page_type) {
+    if (!PAGE_TYPES.includes(args.page_type)) {
+      throw new Error(`Unknown page type "${args.page_type}". Use one of: ${PAGE_TYPES.join(', ')}`);
+    }
+    conditions.push(`${PAGE_TYPE_SQL} = ?`);
+    params.push(args.page_type);
+    applied.page_type = args.page_type;
+  }
+  if (args.component) {
+    const component = await findComponent(String(args.component), version, flavour);
+    if (!component) {
+      throw new Error(`Component "${args.component}" not found. Use list_components() to see available components.`);
+    }
+    if (examples) {
+      conditions.push('e.component = ?');
+      params.push(component.slug);
+    } else {
+      conditions.push('c.id = ?');
+      params.push(component.id);
+    }
+    applied.component = component.slug;
+  }
+
+  if (!examples) {
+    if (args.has_examples !== undefined && args.has_examples !== null) {
+      const hasExamples = flag(args.has_examples);
+      conditions.push(`${hasExamples ? '' : 'NOT '}EXISTS (SELECT 1 FROM examples x WHERE x.page_id = p.id)`);
+      applied.has_examples = hasExamples;
+    }
+    return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params, applied };
+  }
+
+  // variants and icons are JSON arrays of class names and "sprite#icon"
+  if (args.variant) {
+    const variant = String(args.variant).trim().toLowerCase();
+    conditions.push(`EXISTS (SELECT 1 FROM json_each(e.variants) WHERE value = ? OR value LIKE ?)`);
+    params.push(variant, `%--${variant}`);
+    applied.variant = variant;
+  }
+  if (args.needs_js !== undefined && args.needs_js !== null) {
+    applied.needs_js = flag(args.needs_js);
+    conditions.push(applied.needs_js ? 'e.auto_init IS NOT NULL' : 'e.auto_init IS NULL');
+  }
+  if (args.icon) {
+    const icon = String(args.icon).trim();
+    conditions.push(`EXISTS (SELECT 1 FROM json_each(e.icons) WHERE value = ? OR value LIKE ?)`);
+    params.push(icon, `%#${icon}`);
+    applied.icon = icon;
+  }
+  if (args.has_images !== undefined && args.has_images !== null) {
+    applied.has_images = flag(args.has_images);
+    conditions.push(`e.images ${applied.has_images ? '!=' : '='} '[]'`);
+  }
+
+  return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params, applied };
+}
+
+// Facet counts of search matches: { <field>: { <value>: count } }, values
+// sorted by count. Rows without a value for a field are not counted.
+function countFacets(rows, fields) {
+  const facets = {};
+  for (const field of fields) {
+    const counts = new Map();
+    for (const row of rows) {
+      if (row[field] === null || row[field] === undefined) continue;
+      const value = String(field === 'has_examples' ? row[field] === 1 : row[field]);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    facets[field] = Object.fromEntries([...counts].sort((a, b) => b[1] - a[1]));
+  }
+  return facets;
+}
+
+// searchWithFallback, retried with the ECL names of generic UI words
+// ("dropdown" -> "select", see lib/aliases.js) when the query as typed finds
+// nothing. Adds showingResultsFor and aliases when the retry found results.
+// Unfiltered searches that still find nothing are logged to grow the alias
+// dictionary.
+async function searchWithAliases({ tool, query, version, flavour, filtered }, search) {
+  const found = await searchWithFallback(query, search);
+  if (found.results.length > 0) {
+    return found;
+  }
+
+  const expanded = expandAliases(query);
+  if (expanded) {
+    const retried = await searchWithFallback(expanded.query, search);
+    if (retried.results.length > 0) {
+      return { ...retried, showingResultsFor: expanded.query, aliases: expanded.aliases };
+    }
+  }
+
+  if (!filtered) {
+    logSearchMiss(searchMissesPath, { tool, query, version, flavour });
+  }
+  return found;
+}
+
+// Resolve the `version` argument of the CSS class tools. build-db indexes
+// stylesheets for its --ecl-version, which need not be a version whose pages
+// were crawled, so the default is the newest version in the CSS class
+// index. A version missing from the index is reported by getIndexedClasses
+// with how to index it.
+async function resolveCssVersion(requested, flavour) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    return normalizeVersion(requested);
+  }
+  const rows = await dbAll('SELECT DISTINCT ecl_version FROM css_classes WHERE flavour = ?', [flavour]);
+  return sortVersions(rows.map(row => row.ecl_version))[0] || DEFAULT_ECL_VERSION;
+}
+
+// Class names of the CSS class index for a version and flavour; rejects
+// with a hint when build-db has not indexed that version's stylesheets
+async function getIndexedClasses(version, flavour) {
+  const rows = await dbAll('SELECT name FROM css_classes WHERE ecl_version = ? AND flavour = ?', [version, flavour]);
+  if (rows.length === 0) {
+    throw new Error(
+      `No CSS class index for ECL v${version} (${flavour.toUpperCase()}). Download its assets ("ECL_VERSION=${version} ./download-ecl-assets.sh") and run "npx ecl-mcp build-db --ecl-version ${version}".`
+    );
+  }
+  return new Set(rows.map(row => row.name));
+}
+
+// Resolve the `version` argument of the icon tools against the icon index,
+// like resolveCssVersion: sprites are indexed for build-db's --ecl-version.
+// A version missing from the index is reported by getIndexedIcons.
+async function resolveIconVersion(requested) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    return normalizeVersion(requested);
+  }
+  const rows = await dbAll('SELECT DISTINCT ecl_version FROM icons');
+  return sortVersions(rows.map(row => row.ecl_version))[0] || DEFAULT_ECL_VERSION;
+}
+
+// Icons of the icon index for a version: [{ icon_set, name, sprite }];
+// rejects with a hint when build-db has not indexed that version's sprites
+async function getIndexedIcons(version) {
+  const rows = await dbAll('SELECT icon_set, name, sprite FROM icons WHERE ecl_version = ? ORDER BY icon_set, name', [version]);
+  if (rows.length === 0) {
+    throw new Error(
+      `No icon index for ECL v${version}. Download its assets ("ECL_VERSION=${version} ./download-ecl-assets.sh") and run "npx ecl-mcp build-db --ecl-version ${version}".`
+    );
+  }
+  return rows;
+}
+
+// Examples whose markup uses `className`: [{ id, label, url }]
+async function findExamplesUsingClass(className, version, flavour) {
+  const rows = await dbAll(
+    `SELECT e.id, COALESCE(e.label, e.inferred_label) as label, e.code, p.url
+     FROM examples e
+     JOIN pages p ON e.page_id = p.id
+     WHERE p.ecl_version = ? AND p.flavour = ? AND e.code LIKE ?
+     ORDER BY e.id`,
+    [version, flavour, `%${className}%`]
+  );
+  return rows
+    .filter(row => extractMarkupClasses(row.code).has(className))
+    .map(row => ({ id: row.id, label: row.label, url: row.url }));
+}
+
+// What validate_ecl_markup checks against, per version and flavour: classes
+// from the CSS class index (or the bundled stylesheets when it is not built)
+// and those used by the documentation examples and starter template, blocks
+// that need data-ecl-auto-init, and the icon index (or bundled sprites)
+const validationContexts = new Map();
+
+async function getValidationContext(version, flavour) {
+  const key = `${version}/${flavour}`;
+  if (!validationContexts.has(key)) {
+    validationContexts.set(key, await loadValidationContext({
+      dbAll,
+      version,
+      flavour,
+      cssDir: path.join(__dirname, 'assets', 'css'),
+      iconsDir: path.join(__dirname, 'assets', 'icons'),
+      extraMarkup: [fs.readFileSync(path.join(__dirname, 'starter_template.html'), 'utf8')],
+    }));
+  }
+  return validationContexts.get(key);
+}
 
 // Create MCP server
 const server = new Server(
@@ -38,31 +472,53 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         description: 'CALL THIS FIRST! Essential setup guide with asset download script and quick start instructions. Returns complete workflow for building ECL pages. ALL other tools assume you have to read this first',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
           required: [],
         },
       },
       {
         name: 'search_documentation_pages',
-        description: 'Search the EC Europa Component Library documentation. Returns matching pages with their titles, URLs, categories, and hierarchy information.',
+        description: 'Search the EC Europa Component Library documentation. Returns matching pages with their titles, URLs, categories, hierarchy information and best matching section (read it with get_documentation_section), plus facet counts (category, page_type, component, has_examples) over all matches to narrow a broad query with the filters.',
         inputSchema: {
           type: 'object',
           properties: {
             query: {
               type: 'string',
-              description: 'Search query to find relevant documentation pages',
+              description: 'Search query to find relevant documentation pages. Supports "exact phrases", prefix* and OR',
             },
             limit: {
               type: 'number',
               description: 'Maximum number of results to return (default: 10)',
             },
+            category: {
+              type: 'string',
+              description: 'Only pages of this category, e.g. "Form Components" (see the category facet)',
+            },
+            page_type: {
+              type: 'string',
+              enum: PAGE_TYPES,
+              description: 'Only the usage, code or api pages of components',
+            },
+            component: {
+              type: 'string',
+              description: 'Only pages of this component, by name or slug (e.g. "accordion", "forms/checkbox")',
+            },
+            has_examples: {
+              type: 'boolean',
+              description: 'Only pages with (true) or without (false) code examples',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
           },
           required: ['query'],
         },
       },
       {
         name: 'get_documentation_page',
-        description: 'Get the complete HTML content of a specific documentation page by URL. Use this after searching to retrieve full code examples and detailed documentation.',
+        description: 'Get a specific documentation page by URL, as markdown (default: headings, lists, tables, links and code examples where they appear), plain text, raw HTML or an outline of its headings. Use this after searching to read detailed documentation; request the outline first on long pages.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -70,10 +526,39 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'The full URL of the page to retrieve (from search results)',
             },
+            format: {
+              type: 'string',
+              enum: PAGE_FORMATS,
+              description: 'markdown (default), text (one paragraph of plain text, as indexed for search), html (raw HTML as crawled) or outline (headings with their anchors)',
+            },
             content: {
               type: 'boolean',
-              description: 'If true (default), returns cleaned page content. If false, returns raw HTML.',
+              description: 'Deprecated, use format. false is format="html".',
+            },
+            version: versionProperty,
+          },
+          required: ['url'],
+        },
+      },
+      {
+        name: 'get_documentation_section',
+        description: 'Get one section of a documentation page: a heading and its content, with its subsections, as markdown. Use the section anchor from search_documentation_pages results or from get_documentation_page(format="outline") to read part of a long page instead of all of it. Without an anchor, lists the sections of the page.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'The full URL of the page (from search results); a #anchor at its end is used as the anchor',
+            },
+            anchor: {
+              type: 'string',
+              description: 'Anchor of the section, e.g. "font-sizes" ("top" is the content before the first heading)',
+            },
+            subsections: {
+              type: 'boolean',
+              description: 'Include the subsections of the section (default: true)',
             },
+            version: versionProperty,
           },
           required: ['url'],
         },
@@ -88,30 +573,196 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               description: 'The full URL of the page to retrieve examples from (from search results)',
             },
+            version: versionProperty,
           },
           required: ['url'],
         },
       },
+      {
+        name: 'validate_ecl_markup',
+        description: 'Check ECL markup you generated before using it. Flags unknown ecl-* classes (with suggestions), BEM modifiers used without their base class, components missing data-ecl-auto-init, basic elements (p, h1-h6, ul, ol, li) missing ecl-u-type-* classes, and icons that do not exist in the sprite. Returns line-numbered findings as JSON.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            html: {
+              type: 'string',
+              description: 'HTML markup to validate: a snippet or a full page',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: ['html'],
+        },
+      },
+      {
+        name: 'lookup_css_class',
+        description: 'Check whether an ECL CSS class exists and what it is: owning component (block, element, modifier) or utility group, the other modifiers of the same block, and the code examples that use it. Suggests the closest class when it does not exist.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Class name, e.g. "ecl-button--primary" or "ecl-u-mt-m"',
+            },
+            example_limit: {
+              type: 'number',
+              description: 'Maximum number of examples using the class to return (default: 5)',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'search_css_classes',
+        description: 'Search the ECL CSS class vocabulary by name fragment, e.g. "button" or "mt" for margin-top utilities. Filter by kind, component or utility group.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Words that must all appear in the class name, e.g. "button primary" or "type paragraph"',
+            },
+            kind: {
+              type: 'string',
+              enum: ['component', 'utility', 'layout'],
+              description: 'Only classes of this kind (optional)',
+            },
+            component: {
+              type: 'string',
+              description: 'Only classes of this component, e.g. "button" (optional)',
+            },
+            utility_group: {
+              type: 'string',
+              description: 'Only utilities of this group: spacing, typography, display, flex, background, border, shadow, media, sizing, ... (optional)',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of results (default: 50)',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'list_icons',
+        description: 'List the icons of the ECL SVG sprites (general, social-media, flag) so you use real symbol IDs in <use xlink:href> markup. Use get_icon_markup for ready-to-paste markup.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            set: {
+              type: 'string',
+              enum: Object.values(ICON_SETS),
+              description: 'Only list icons of this set (optional)',
+            },
+            query: {
+              type: 'string',
+              description: 'Only list icons whose name contains this text, e.g. "arrow" (optional)',
+            },
+            version: versionProperty,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'get_icon_markup',
+        description: 'Get ready-to-paste ECL icon markup (<svg class="ecl-icon ..."><use xlink:href="assets/icons/icons.svg#name"></use></svg>) for an icon, with the correct sprite file and local asset path.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Icon name from list_icons, e.g. "search", "facebook", "belgium"',
+            },
+            set: {
+              type: 'string',
+              enum: Object.values(ICON_SETS),
+              description: 'Icon set, when the name exists in several (optional)',
+            },
+            size: {
+              type: 'string',
+              enum: ICON_SIZES,
+              description: 'Icon size (default: "m")',
+            },
+            color: {
+              type: 'string',
+              enum: ICON_COLORS,
+              description: 'Icon color: "primary", or "inverted" on dark backgrounds (optional, defaults to the text color)',
+            },
+            transform: {
+              type: 'string',
+              enum: ICON_TRANSFORMS,
+              description: 'Rotate or flip the icon, e.g. "rotate-180" to make arrow-left point right (optional)',
+            },
+            asset_path: {
+              type: 'string',
+              description: 'Path to the icon sprites from your page (default: "assets/icons", where download-ecl-assets.sh puts them)',
+            },
+            version: versionProperty,
+          },
+          required: ['name'],
+        },
+      },
       {
         name: 'get_starter_template',
-        description: 'Get a basic HTML starter template with proper ECL local assets setup, ready to use. Use this as the foundation before adding ECL components. Returns a complete HTML page with correct script tags, CSS links, and local asset URLs.',
+        description: 'Get an HTML starter page with the ECL assets set up, ready to use. Use this as the foundation before adding ECL components. Returns a complete page with CSS links, script tags and ECL.autoInit(); the header, page header and footer can be tailored with the options.',
         inputSchema: {
           type: 'object',
           properties: {
             title: {
               type: 'string',
-              description: 'Page title (optional, defaults to "ECL Page")',
+              description: 'Page title, used for <title>, the breadcrumb and the main heading (optional, defaults to "ECL Page")',
             },
+            ...templateProperties,
+            version: versionProperty,
+            flavour: flavourProperty,
           },
           required: [],
         },
       },
+      {
+        name: 'compose_page',
+        description: 'Assemble a complete ECL page in one call: the starter layout (header, page header, footer, assets) with the given examples, recipes and components inserted in order as the main content. Returns one indented HTML document plus a validation summary.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            title: {
+              type: 'string',
+              description: 'Page title, used for <title>, the breadcrumb and the main heading (optional, defaults to "ECL Page")',
+            },
+            sections: {
+              type: 'array',
+              description: 'Main content, in order. Each section names exactly one source: example_id (from search_examples), recipe_id (from list_recipes) or component (first example of that component, or the one whose label contains "label").',
+              items: {
+                type: 'object',
+                properties: {
+                  example_id: { type: 'number', description: 'Code example ID' },
+                  recipe_id: { type: 'number', description: 'Recipe ID; its HTML code blocks are inserted' },
+                  component: { type: 'string', description: 'Component name, e.g. "accordion"' },
+                  label: { type: 'string', description: 'With component: pick the example whose label contains this text' },
+                  heading: { type: 'string', description: 'Optional h2 heading shown above the section' },
+                },
+              },
+            },
+            ...templateProperties,
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: ['sections'],
+        },
+      },
       {
         name: 'get_documentation_pages_list',
-        description: 'Get the complete list of all pages in the ECL documentation database. Returns URL, title, category, and hierarchy information for all 159 pages.',
+        description: 'Get the complete list of all pages in the ECL documentation database for one ECL version. Returns URL, title, category, and hierarchy information for every page.',
         inputSchema: {
           type: 'object',
-          properties: {},
+          properties: {
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
           required: [],
         },
       },
@@ -124,15 +775,43 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: [],
         },
       },
+      {
+        name: 'search_recipes',
+        description: 'Search the ECL recipes (pre-built component combinations and patterns) by title, description, keywords, components and content. Results are ranked by relevance, with a highlighted snippet. Filter by difficulty and by the components a recipe uses; without a query, returns every recipe matching the filters.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Search query, e.g. "call to action" or "related links". Supports "exact phrases", prefix* and OR',
+            },
+            difficulty: {
+              type: 'string',
+              enum: DIFFICULTIES,
+              description: 'Only recipes of this difficulty',
+            },
+            components: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only recipes using all of these components, e.g. ["button", "link"]',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of results to return (default: 10)',
+            },
+          },
+          required: [],
+        },
+      },
       {
         name: 'get_recipe',
-        description: 'Get the complete recipe by ID. Returns full markdown content with step-by-step instructions, code examples, and best practices. Use this after recipe_search to get implementation details.',
+        description: 'Get the complete recipe by ID. Returns full markdown content with step-by-step instructions, code examples, and best practices. Use this after search_recipes to get implementation details.',
         inputSchema: {
           type: 'object',
           properties: {
             id: {
               type: 'number',
-              description: 'Recipe ID from recipe_search results',
+              description: 'Recipe ID from search_recipes or list_recipes results',
             },
           },
           required: ['id'],
@@ -140,18 +819,49 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'search_examples',
-        description: 'Search all code examples using natural language queries. Returns matching examples with their code, labels, and source page URLs. Useful for finding specific HTML patterns, component implementations, or usage examples.',
+        description: 'Search all code examples using natural language queries. Returns matching examples with their labels, component, variants, JavaScript and icons, and source page URLs, plus facet counts (category, page_type, component, auto_init) over all matches. Useful for finding specific HTML patterns, component implementations, or usage examples.',
         inputSchema: {
           type: 'object',
           properties: {
             query: {
               type: 'string',
-              description: 'Search query to find relevant code examples (e.g., "button primary", "checkbox required", "form validation")',
+              description: 'Search query to find relevant code examples (e.g., "button primary", "checkbox required", "form validation"). Supports "exact phrases", prefix* and OR; class names like ecl-button--primary work as typed',
             },
             limit: {
               type: 'number',
               description: 'Maximum number of results to return (default: 10)',
             },
+            category: {
+              type: 'string',
+              description: 'Only examples from pages of this category, e.g. "Form Components" (see the category facet)',
+            },
+            page_type: {
+              type: 'string',
+              enum: PAGE_TYPES,
+              description: 'Only examples from the usage, code or api pages of components',
+            },
+            component: {
+              type: 'string',
+              description: 'Only examples of this component, by name or slug (e.g. "accordion", "forms/checkbox"). An example belongs to the component it shows, usually the one of its page',
+            },
+            variant: {
+              type: 'string',
+              description: 'Only examples using this variant (modifier) class, e.g. "ecl-button--primary" or "primary"',
+            },
+            needs_js: {
+              type: 'boolean',
+              description: 'Only examples that need (true) or do not need (false) JavaScript (data-ecl-auto-init)',
+            },
+            icon: {
+              type: 'string',
+              description: 'Only examples using this icon, e.g. "close" or "icons.svg#close"',
+            },
+            has_images: {
+              type: 'boolean',
+              description: 'Only examples with (true) or without (false) images',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
           },
           required: ['query'],
         },
@@ -166,26 +876,131 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'number',
               description: 'The example ID from search_examples results',
             },
+            source: {
+              type: 'boolean',
+              description: 'Return the example exactly as published in the documentation (original whitespace, attributes and entities) instead of the formatted code (default: false)',
+            },
           },
           required: ['id'],
         },
       },
-    ],
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  if (name === 'start_here') {
-    // Read download script from file
-    const scriptPath = path.join(__dirname, 'download-ecl-assets.sh');
-    let downloadScript;
-    try {
-      downloadScript = fs.readFileSync(scriptPath, 'utf8');
-    } catch (error) {
-      return {
+      {
+        name: 'find_similar_examples',
+        description: 'Find the examples whose markup is closest to an example (by ID) or to your own HTML: same components, variants, elements and JavaScript. Returns the nearest examples with a similarity score from 0 to 1 and the features they share. Useful to find variants of an example or the official version of hand-written markup.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'number',
+              description: 'Example ID (from search_examples) to find similar examples for',
+            },
+            html: {
+              type: 'string',
+              description: 'Markup to find similar examples for, instead of id',
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of results to return (default: 5)',
+            },
+            version: { ...versionProperty, description: `${versionProperty.description}. Ignored with id (the example's own version is used)` },
+            flavour: { ...flavourProperty, description: `${flavourProperty.description}. Ignored with id` },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'list_components',
+        description: 'List every ECL component and utility with its category, usage/code/api pages, example count and JavaScript auto-init name. Use get_component for the full picture of one component.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            category: {
+              type: 'string',
+              description: 'Only list components in this category, e.g. "Form Components" (optional)',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'get_component',
+        description: 'Get everything about one ECL component in one call: category, usage/code/api page URLs, the data-ecl-auto-init name if it needs JavaScript, and all of its code examples.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Component name or slug, e.g. "Accordion", "text field", "forms/checkbox"',
+            },
+            include_code: {
+              type: 'boolean',
+              description: 'If true (default), include the code of every example. If false, only list example IDs and labels.',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: ['name'],
+        },
+      },
+      {
+        name: 'get_component_api',
+        description: 'Get the JavaScript API of an ECL component as structured JSON: options (name, type, default, description, related data-ecl-* attribute), events, methods and data attributes, extracted from its API page.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Component name or slug, e.g. "Accordion", "forms/select"',
+            },
+            url: {
+              type: 'string',
+              description: 'URL of the component API page (alternative to name)',
+            },
+            kind: {
+              type: 'string',
+              enum: ['option', 'event', 'method', 'attribute', 'parameter'],
+              description: 'Only return entries of this kind (optional)',
+            },
+            version: versionProperty,
+            flavour: flavourProperty,
+          },
+          required: [],
+        },
+      },
+    ],
+  };
+});
+
+// Handle tool calls
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const { name, arguments: args = {} } = request.params;
+
+  if (name === 'start_here') {
+    // Read download script from file, defaulting it to the requested version
+    const scriptPath = path.join(__dirname, 'download-ecl-assets.sh');
+    let downloadScript;
+    let flavour;
+    let version;
+    let versions;
+    let stats;
+    try {
+      flavour = normalizeFlavour(args.flavour);
+      version = await resolveVersion(args.version, flavour);
+      versions = await getIndexedVersions(flavour);
+      const counts = await dbAll(
+        `SELECT
+          (SELECT COUNT(*) FROM pages WHERE ecl_version = ? AND flavour = ?) AS pages,
+          (SELECT COUNT(*) FROM examples e JOIN pages p ON e.page_id = p.id WHERE p.ecl_version = ? AND p.flavour = ?) AS examples`,
+        [version, flavour, version, flavour]
+      );
+      stats = counts[0];
+      downloadScript = fs.readFileSync(scriptPath, 'utf8')
+        .replace(/(ECL_VERSION:-)[\d.]+/, `$1${version}`)
+        .replace(/(ECL_FLAVOUR:-)[a-z]+/, `$1${flavour}`);
+    } catch (error) {
+      return {
         content: [
           {
             type: 'text',
@@ -224,7 +1039,7 @@ chmod +x download-ecl-assets.sh
 
 **Option B: Copy assets from this package**
 
-If you have this package installed via npm, you can copy the assets directly:
+If you have this package installed via npm, you can copy the assets directly (bundled assets are ECL v${DEFAULT_ECL_VERSION}, ${DEFAULT_FLAVOUR.toUpperCase()} flavour):
 
 \`\`\`bash
 cp -rf node_modules/ecl_mcp/assets ./
@@ -236,7 +1051,7 @@ get_starter_template(title="My Page")
 \`\`\`
 Returns full HTML page with header, footer, navigation, and ECL initialized.
 
-### Step 3: Find & Add Components OR list all of the recipes.
+### Step 3: Find & Add Components OR find a recipe.
 
 \`\`\`
 search_examples(query="card")
@@ -245,8 +1060,14 @@ search_examples(query="card")
 or
 
 \`\`\`
-list_recipes()
+search_recipes(query="call to action")
+\`\`\`
+
+### Step 4: Check Your Markup
+\`\`\`
+validate_ecl_markup(html="...")
 \`\`\`
+Flags unknown classes, missing auto-init attributes, missing typography classes and broken icons.
 
 
 ---
@@ -255,13 +1076,21 @@ list_recipes()
 
 **Start here:** \`get_starter_template\` - Complete HTML boilerplate
 
-**Find components:** \`search_examples\`, \`get_example\`, \`search_documentation_pages\`, \`get_documentation_page\`
+**Find components:** \`list_components\`, \`get_component\`, \`get_component_api\`, \`search_examples\`, \`get_example\`, \`find_similar_examples\`, \`search_documentation_pages\`, \`get_documentation_page\`, \`get_documentation_section\`
+
+**Icons:** \`list_icons\`, \`get_icon_markup\`
+
+**Build a whole page:** \`compose_page\`
+
+**Check your work:** \`validate_ecl_markup\`, \`lookup_css_class\`, \`search_css_classes\`
 
-**Advanced:** \`list_recipes\`, \`recipe_get\`, \`get_documentation_pages_list\`, \`get_documentation_page_examples\`
+**Advanced:** \`search_recipes\`, \`get_recipe\`, \`get_documentation_pages_list\`, \`get_documentation_page_examples\`
 
 ---
 
-**ECL v4.11.1** | 159 pages, 270 examples | https://ec.europa.eu/component-library/`,
+**ECL v${version} (${FLAVOURS[flavour].name})** | ${stats.pages} pages, ${stats.examples} examples | https://ec.europa.eu/component-library/
+${versions.length > 1 ? `\nIndexed ECL versions: ${versions.join(', ')}. Pass \`version\` to any search/get tool to target one; the latest is used by default.` : ''}
+Building a europa.eu site? Pass \`flavour="eu"\` to \`start_here\`, \`get_starter_template\` and the search tools.`,
         },
       ],
     };
@@ -269,13 +1098,25 @@ list_recipes()
 
   if (name === 'get_documentation_page') {
     const url = args.url;
-    const useContent = args.content !== false; // Default to true
+    const format = args.format || (args.content === false ? 'html' : 'markdown');
+
+    if (!PAGE_FORMATS.includes(format)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: Unknown format "${format}". Use one of: ${PAGE_FORMATS.join(', ')}.`,
+          },
+        ],
+        isError: true,
+      };
+    }
 
     try {
-      const field = useContent ? 'content' : 'html';
+      const version = await resolvePageVersion(url, args.version);
       const result = await dbAll(
-        `SELECT url, title, category, ${field} FROM pages WHERE url = ? LIMIT 1`,
-        [url]
+        'SELECT url, title, category, ecl_version, flavour, html, content FROM pages WHERE url = ? AND ecl_version = ? LIMIT 1',
+        [url, version]
       );
 
       if (result.length === 0) {
@@ -283,21 +1124,39 @@ list_recipes()
           content: [
             {
               type: 'text',
-              text: `Page not found: "${url}"\n\nUse the search tool first to find available pages.`,
+              text: `Page not found: "${url}" (ECL v${version})\n\nUse the search tool first to find available pages.`,
             },
           ],
         };
       }
 
       const page = result[0];
-      const pageData = useContent ? page.content : page.html;
-      const dataType = useContent ? 'Page Content' : 'Raw HTML';
-
       let output = `# ${page.title}\n\n`;
       output += `**URL:** ${page.url}\n`;
       output += `**Category:** ${page.category}\n`;
-      output += `**Type:** ${dataType}\n\n`;
-      output += `## ${dataType}\n\n${pageData}`;
+      output += `**ECL Version:** ${page.ecl_version} (${page.flavour.toUpperCase()})\n`;
+      output += `**Format:** ${format}\n\n`;
+
+      if (format === 'markdown') {
+        output += `---\n\n${toMarkdown(page.html, page.url)}\n`;
+      } else if (format === 'text') {
+        output += `## Page Content\n\n${page.content}`;
+      } else if (format === 'html') {
+        output += `## Raw HTML\n\n${page.html}`;
+      } else {
+        const outline = extractOutline(page.html);
+        output += `## Outline\n\n`;
+        if (outline.length === 0) {
+          output += 'No headings on this page.\n';
+        }
+        const topLevel = Math.min(...outline.map(heading => heading.level));
+        for (const heading of outline) {
+          output += `${'  '.repeat(heading.level - topLevel)}- ${heading.text} - \`#${heading.anchor}\`\n`;
+        }
+        if (outline.length > 0) {
+          output += `\nRead one section with get_documentation_section(url="${page.url}", anchor="...").\n`;
+        }
+      }
 
       return {
         content: [
@@ -320,14 +1179,109 @@ list_recipes()
     }
   }
 
+  if (name === 'get_documentation_section') {
+    const [url, urlAnchor] = String(args.url || '').split('#');
+    const anchor = args.anchor || urlAnchor;
+    const withSubsections = args.subsections !== false;
+
+    try {
+      const version = await resolvePageVersion(url, args.version);
+      const pages = await dbAll(
+        'SELECT id, url, title, category, ecl_version, flavour FROM pages WHERE url = ? AND ecl_version = ? LIMIT 1',
+        [url, version]
+      );
+
+      if (pages.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Page not found: "${url}" (ECL v${version})\n\nUse the search tool first to find available pages.`,
+            },
+          ],
+        };
+      }
+
+      const page = pages[0];
+      const sections = await dbAll(
+        'SELECT anchor, heading, level, position, markdown FROM page_sections WHERE page_id = ? ORDER BY position',
+        [page.id]
+      );
+
+      if (sections.length === 0) {
+        throw new Error(`No sections indexed for ${page.url}. Run "npx ecl-mcp build-db" to index them.`);
+      }
+
+      const section = anchor ? sections.find(s => s.anchor === anchor) : null;
+      if (!section) {
+        const topLevel = Math.min(...sections.map(s => s.level));
+        let output = anchor
+          ? `Section not found: "#${anchor}" on ${page.url}\n\n`
+          : `# ${page.title}: sections\n\n`;
+        output += anchor ? `Sections of ${page.title}:\n\n` : `**URL:** ${page.url}\n\n`;
+        for (const s of sections) {
+          output += `${'  '.repeat(s.level - topLevel)}- ${s.heading || '(before the first heading)'} - \`#${s.anchor}\`\n`;
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: output,
+            },
+          ],
+        };
+      }
+
+      // Subsections run up to the next heading of the same or a higher level
+      let end = section.position + 1;
+      if (withSubsections && section.level > 0) {
+        while (end < sections.length && sections[end].level > section.level) end++;
+      }
+      const parts = sections.slice(section.position, end);
+
+      let output = `# ${page.title}: ${section.heading || 'Introduction'}\n\n`;
+      output += `**URL:** ${page.url}#${section.anchor}\n`;
+      output += `**Category:** ${page.category}\n`;
+      output += `**ECL Version:** ${page.ecl_version} (${page.flavour.toUpperCase()})\n`;
+      if (parts.length > 1) {
+        output += `**Subsections:** ${parts.slice(1).map(s => `\`#${s.anchor}\``).join(', ')}\n`;
+      }
+      if (sections[end]) {
+        output += `**Next section:** ${sections[end].heading} - get_documentation_section(url="${page.url}", anchor="${sections[end].anchor}")\n`;
+      }
+      output += `\n---\n\n${parts.map(s => s.markdown).join('\n\n')}\n`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving section: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
   if (name === 'get_documentation_page_examples') {
     const url = args.url;
 
     try {
+      const version = await resolvePageVersion(url, args.version);
+
       // Get page
       const pageResult = await dbAll(
-        'SELECT id, title, category FROM pages WHERE url = ? LIMIT 1',
-        [url]
+        'SELECT id, title, category FROM pages WHERE url = ? AND ecl_version = ? LIMIT 1',
+        [url, version]
       );
 
       if (pageResult.length === 0) {
@@ -335,7 +1289,7 @@ list_recipes()
           content: [
             {
               type: 'text',
-              text: `Page not found: "${url}"\n\nUse the search tool first to find available pages.`,
+              text: `Page not found: "${url}" (ECL v${version})\n\nUse the search tool first to find available pages.`,
             },
           ],
         };
@@ -363,6 +1317,7 @@ list_recipes()
       let output = `# Code Examples: ${page.title}\n\n`;
       output += `**URL:** ${url}\n`;
       output += `**Category:** ${page.category}\n`;
+      output += `**ECL Version:** ${version}\n`;
       output += `**Found ${examples.length} example(s)**\n\n`;
 
       examples.forEach((example, index) => {
@@ -396,32 +1351,50 @@ list_recipes()
   }
 
   if (name === 'get_starter_template') {
-    const title = args.title || 'ECL Page';
-
-    // Read template from file
-    const templatePath = path.join(__dirname, 'starter_template.html');
     let template;
+    let options;
+    let version;
+    let flavour;
     try {
-      template = fs.readFileSync(templatePath, 'utf8');
+      flavour = normalizeFlavour(args.flavour);
+      version = await resolveVersion(args.version, flavour);
+      options = normalizeTemplateOptions(args);
+      template = buildStarterPage(options, version, flavour);
     } catch (error) {
       return {
         content: [
           {
             type: 'text',
-            text: `Error reading template file: ${error.message}`,
+            text: `Error generating template: ${error.message}`,
           },
         ],
         isError: true,
       };
     }
 
+    const included = [
+      `site header (logo ${options.logoSize}${options.languageSelector ? ', language selector' : ''}${options.search ? ', search' : ''})`,
+      options.menu ? 'menu' : null,
+      options.pageHeader ? `page header${options.breadcrumb ? ' with breadcrumb' : ''}` : null,
+      options.footer !== 'none' ? `${options.footer} footer` : null,
+    ].filter(part => part);
+
+    const assets = options.assets === 'cdn'
+      ? `CSS, JS and logos from the ECL CDN (https://cdn1.fpfis.tech.ec.europa.eu/ecl/v${version}/${flavour}/); icon sprites from \`${options.assetPath}/icons/\` (browsers block cross-origin SVG sprites)`
+      : `Local files under \`${options.assetPath}/\` - fetch them with \`ECL_VERSION=${version} ECL_FLAVOUR=${flavour} ./download-ecl-assets.sh\` (see start_here)`;
+
     return {
       content: [
         {
           type: 'text',
           text: `# ECL HTML Starter Template
 
-**Title:** ${title}
+**Title:** ${options.title}
+**Language:** ${options.lang}
+**ECL Version:** ${version}
+**Flavour:** ${flavour.toUpperCase()} (${FLAVOURS[flavour].name})
+**Includes:** ${included.join(', ')}
+**Assets:** ${assets}
 
 ## Ready-to-use template:
 
@@ -431,26 +1404,99 @@ ${template}
 
 ## Next Steps:
 1. Save this as an HTML file
-2. Use the 'search' tool to find components you need (e.g., "site header", "button", "footer")
-3. Use 'get_examples' to retrieve component HTML code
-4. Insert component code in the body section
-5. All components with data-ecl-auto-init attributes will be initialized automatically
-
-## CDN Resources Used:
-- EC CDN: https://cdn1.fpfis.tech.ec.europa.eu/ecl/v4.11.1/ec/
-- CSS: Reset, Main styles, Utilities, Print styles
-- JS: ECL JavaScript with autoInit
-
-Icons and logos from same CDN:
-- Icons: images/icons/sprites/icons.svg
-- Logos: images/logo/positive/ or negative/`,
+2. Use \`search_examples\` or \`get_component\` to find the components you need (e.g., "card", "button", "table")
+3. Insert component code in the main content container
+4. Check the result with \`validate_ecl_markup\`
+5. All components with data-ecl-auto-init attributes will be initialized automatically`,
         },
       ],
     };
   }
 
+  if (name === 'compose_page') {
+    if (!Array.isArray(args.sections) || args.sections.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Must provide a non-empty "sections" array.\n\nExample: compose_page(title="News", sections=[{"component": "banner"}, {"example_id": 12, "heading": "Latest"}])',
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
+      const options = normalizeTemplateOptions(args);
+
+      const blocks = [];
+      const sources = [];
+      for (const [index, section] of args.sections.entries()) {
+        const { label, code } = await resolveComposeSection(section, index + 1, version, flavour);
+        let block = `<!-- ${label} -->\n`;
+        if (section.heading) {
+          block += `<h2 class="ecl-u-type-heading-2">${section.heading.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</h2>\n`;
+        }
+        block += indentBlock(code, '');
+        blocks.push(block);
+        sources.push(label);
+      }
+
+      const page = buildStarterPage(options, version, flavour, blocks.join('\n'));
+      const lines = page.split('\n');
+      const findings = validateMarkup(page, await getValidationContext(version, flavour));
+      const errors = findings.filter(finding => finding.severity === 'error');
+
+      let output = `# Composed Page: ${options.title}\n\n`;
+      output += `**ECL Version:** ${version}\n`;
+      output += `**Flavour:** ${flavour.toUpperCase()} (${FLAVOURS[flavour].name})\n\n`;
+      output += `## Sections\n\n`;
+      sources.forEach((source, i) => {
+        output += `${i + 1}. ${source}\n`;
+      });
+      output += `\n## Validation\n\n`;
+      if (findings.length === 0) {
+        output += `No issues found.\n`;
+      } else {
+        const warnings = findings.filter(finding => finding.severity !== 'error');
+        output += errors.length > 0
+          ? `${errors.length} errors, ${warnings.length} warnings. Fix the errors before using the page:\n\n`
+          : `No errors, ${warnings.length} warnings. Review them before using the page:\n\n`;
+        for (const finding of [...errors, ...warnings].slice(0, 10)) {
+          const severity = finding.severity === 'error' ? '' : ` (${finding.severity})`;
+          output += `- Line ${finding.line} [${finding.rule}]${severity}: ${finding.message} - \`${lines[finding.line - 1].trim().substring(0, 100)}\`\n`;
+        }
+        output += `\nRun \`validate_ecl_markup\` on the page for the full list.\n`;
+      }
+      output += `\n## Page\n\n\`\`\`html\n${page}\n\`\`\`\n`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error composing page: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
   if (name === 'get_documentation_pages_list') {
     try {
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
       const results = await dbAll(
         `SELECT 
           url,
@@ -461,7 +1507,9 @@ Icons and logos from same CDN:
           hierarchy_3,
           hierarchy_4
          FROM pages
-         ORDER BY category, hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4`
+         WHERE ecl_version = ? AND flavour = ?
+         ORDER BY category, hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4`,
+        [version, flavour]
       );
 
       // Build JSON structure
@@ -483,6 +1531,8 @@ Icons and logos from same CDN:
       });
 
       const indexData = {
+        version: version,
+        flavour: flavour,
         total: results.length,
         pages: pages,
       };
@@ -513,178 +1563,971 @@ Icons and logos from same CDN:
     const limit = args.limit || 10;
 
     try {
-      // Build smart FTS query:
-      // 1. Try exact phrase first (quoted)
-      // 2. Try normalized compound word (no spaces/hyphens)
-      // 3. Fall back to AND for multi-word
-      const words = query.split(/\s+/);
-      let ftsQueries = [];
-
-      if (words.length > 1) {
-        // Try as exact phrase
-        ftsQueries.push(`\"${query}\"`);
-        // Try as compound word (datepicker, textfield, etc)
-        ftsQueries.push(words.join(''));
-        // Try with hyphen
-        ftsQueries.push(words.join('-'));
-        // Fall back to AND
-        ftsQueries.push(words.join(' AND '));
-      } else {
-        ftsQueries.push(query);
-      }
-
-      // Try each query in order until we get results
-      let results = [];
-      for (const ftsQuery of ftsQueries) {
-        try {
-          results = await dbAll(
-            `SELECT 
-              p.id,
-              p.url,
-              p.title,
-              p.category,
-              p.hierarchy_1,
-              p.hierarchy_2,
-              p.hierarchy_3,
-              p.hierarchy_4,
-              snippet(pages_fts, 1, '<mark>', '</mark>', '...', 50) as snippet
-             FROM pages_fts
-             JOIN pages p ON pages_fts.rowid = p.id
-             WHERE pages_fts MATCH ?
-             ORDER BY rank
-             LIMIT ?`,
-            [ftsQuery, limit]
-          );
-
-          if (results.length > 0) {
-            break; // Found results, stop trying
-          }
-        } catch (e) {
-          // Query syntax error, try next variant
-          continue;
-        }
-      }
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
+
+      const filters = await searchFilters(args, version, flavour);
+      const { results, ftsQuery, showingResultsFor, aliases } = await searchWithAliases({
+        tool: 'search_documentation_pages',
+        query: args.query,
+        version,
+        flavour,
+        filtered: Object.keys(filters.applied).length > 0,
+      }, ftsQuery => dbAll(
+        `SELECT 
+          p.id,
+          p.url,
+          p.title,
+          p.category,
+          p.hierarchy_1,
+          p.hierarchy_2,
+          p.hierarchy_3,
+          p.hierarchy_4,
+          ${PAGE_TYPE_SQL} as page_type,
+          snippet(pages_fts, 1, '<mark>', '</mark>', '...', 50) as snippet
+         FROM pages_fts
+         JOIN pages p ON pages_fts.rowid = p.id
+         ${PAGE_COMPONENT_JOIN}
+         WHERE pages_fts MATCH ? AND p.ecl_version = ? AND p.flavour = ?${filters.sql}
+         ORDER BY rank
+         LIMIT ?`,
+        [ftsQuery, version, flavour, ...filters.params, limit]
+      ));
+
+      if (results.length === 0) {
+        const suggestion = Object.keys(filters.applied).length > 0
+          ? 'Try again without the category, page_type, component or has_examples filters'
+          : noResultsSuggestion(query);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                query: query,
+                version: version,
+                flavour: flavour,
+                filters: filters.applied,
+                total: 0,
+                results: [],
+                suggestion: suggestion
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // Facets count every match, not only the returned ones
+      const matches = await dbAll(
+        `SELECT
+          p.category,
+          ${PAGE_TYPE_SQL} as page_type,
+          c.slug as component,
+          EXISTS (SELECT 1 FROM examples x WHERE x.page_id = p.id) as has_examples
+         FROM pages_fts
+         JOIN pages p ON pages_fts.rowid = p.id
+         ${PAGE_COMPONENT_JOIN}
+         WHERE pages_fts MATCH ? AND p.ecl_version = ? AND p.flavour = ?${filters.sql}`,
+        [ftsQuery, version, flavour, ...filters.params]
+      );
+
+      // The best matching section is looked for with the expression that
+      // matched the page, then with any of its terms, as a section may
+      // contain only some of them
+      const sectionQueries = [ftsQuery, buildAnyTermQuery(showingResultsFor || args.query)];
+
+      // Check for examples and sister pages for each page
+      const resultsWithExamples = await Promise.all(
+        results.map(async (result) => {
+          const exampleCount = await dbAll(
+            'SELECT COUNT(*) as count FROM examples WHERE page_id = ?',
+            [result.id]
+          );
+
+          const hierarchy = [
+            result.hierarchy_1,
+            result.hierarchy_2,
+            result.hierarchy_3,
+            result.hierarchy_4,
+          ].filter(h => h);
+
+          // Sister pages (the other usage/code/api pages of the same
+          // component) come from the component registry
+          let sisterPages = [];
+          const section = await findBestSection(result.id, sectionQueries);
+          const component = await findComponentByUrl(result.url, version, flavour);
+          if (component) {
+            const sisterTypes = ['usage', 'code', 'api'].filter(type => component[`${type}_url`] && component[`${type}_url`] !== result.url);
+            const sisters = await dbAll(
+              `SELECT url, title FROM pages WHERE ecl_version = ? AND url IN (${sisterTypes.map(() => '?').join(', ') || 'NULL'})`,
+              [version, ...sisterTypes.map(type => component[`${type}_url`])]
+            );
+
+            sisterPages = sisterTypes
+              .map(type => ({ type, page: sisters.find(s => s.url === component[`${type}_url`]) }))
+              .filter(s => s.page)
+              .map(s => ({
+                type: s.type,
+                url: s.page.url,
+                title: s.page.title,
+                get_page_call: `get_documentation_page(url="${s.page.url}")`
+              }));
+          }
+
+          return {
+            title: result.title,
+            url: result.url,
+            category: result.category,
+            page_type: result.page_type,
+            hierarchy: hierarchy,
+            snippet: result.snippet,
+            section: section
+              ? {
+                anchor: section.anchor,
+                heading: section.heading,
+                url: `${result.url}#${section.anchor}`,
+                get_section_call: `get_documentation_section(url="${result.url}", anchor="${section.anchor}")`
+              }
+              : undefined,
+            has_examples: exampleCount[0].count > 0,
+            example_count: exampleCount[0].count,
+            component: component ? component.name : undefined,
+            get_component_call: component ? `get_component(name="${component.slug}")` : undefined,
+            related_pages: sisterPages.length > 0 ? sisterPages : undefined,
+            get_examples_call: exampleCount[0].count > 0
+              ? `get_documentation_page_examples(url="${result.url}")`
+              : null,
+            get_page_call: `get_documentation_page(url="${result.url}")`
+          };
+        })
+      );
+
+      const output = {
+        query: query,
+        version: version,
+        flavour: flavour,
+        showing_results_for: showingResultsFor,
+        aliases: aliases,
+        note: showingResultsFor
+          ? `No results for "${query}"; showing results for "${showingResultsFor}" (${aliases.map(a => `${a.term} is called ${a.ecl_name} in ECL`).join(', ')})`
+          : undefined,
+        filters: filters.applied,
+        total: results.length,
+        total_matches: matches.length,
+        facets: countFacets(matches, ['category', 'page_type', 'component', 'has_examples']),
+        results: resultsWithExamples
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error searching: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'list_recipes') {
+    try {
+      const results = await dbAll(
+        `SELECT 
+          id,
+          title,
+          description,
+          difficulty,
+          components_used,
+          keywords,
+          created_at
+         FROM recipes
+         ORDER BY id ASC`
+      );
+
+      const output = {
+        total: results.length,
+        recipes: results.map(recipe => ({
+          id: recipe.id,
+          title: recipe.title,
+          description: recipe.description,
+          difficulty: recipe.difficulty,
+          components_used: recipe.components_used,
+          keywords: recipe.keywords,
+          created_at: recipe.created_at,
+          get_recipe_call: `get_recipe(id=${recipe.id})`
+        }))
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing recipes: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'search_recipes') {
+    const query = (args.query || '').trim().toLowerCase();
+    const limit = args.limit || 10;
+    const components = (Array.isArray(args.components) ? args.components : [args.components])
+      .filter(c => c)
+      .map(c => String(c).trim().toLowerCase());
+
+    try {
+      if (args.difficulty && !DIFFICULTIES.includes(args.difficulty)) {
+        throw new Error(`Unknown difficulty "${args.difficulty}". Use one of: ${DIFFICULTIES.join(', ')}`);
+      }
+
+      // components_used is stored comma separated ("button, link")
+      const conditions = [];
+      const params = [];
+      if (args.difficulty) {
+        conditions.push('r.difficulty = ?');
+        params.push(args.difficulty);
+      }
+      for (const component of components) {
+        conditions.push(`(', ' || LOWER(r.components_used) || ',') LIKE ?`);
+        params.push(`%, ${component},%`);
+      }
+      const filters = conditions.map(condition => ` AND ${condition}`).join('');
+
+      let results = [];
+      if (query) {
+        // Same fallback chain and ranking as search_documentation_pages
+        ({ results } = await searchWithFallback(args.query, ftsQuery => dbAll(
+          `SELECT
+            r.id,
+            r.title,
+            r.description,
+            r.difficulty,
+            r.components_used,
+            r.keywords,
+            snippet(recipes_fts, -1, '<mark>', '</mark>', '...', 30) as snippet
+           FROM recipes_fts
+           JOIN recipes r ON recipes_fts.rowid = r.id
+           WHERE recipes_fts MATCH ?${filters}
+           ORDER BY rank
+           LIMIT ?`,
+          [ftsQuery, ...params, limit]
+        )));
+      } else {
+        results = await dbAll(
+          `SELECT r.id, r.title, r.description, r.difficulty, r.components_used, r.keywords
+           FROM recipes r
+           WHERE 1 = 1${filters}
+           ORDER BY r.id ASC
+           LIMIT ?`,
+          [...params, limit]
+        );
+      }
+
+      const output = {
+        query: query || null,
+        difficulty: args.difficulty || null,
+        components: components.length > 0 ? components : null,
+        total: results.length,
+        results: results.map(recipe => ({
+          id: recipe.id,
+          title: recipe.title,
+          description: recipe.description,
+          difficulty: recipe.difficulty,
+          components_used: recipe.components_used,
+          keywords: recipe.keywords,
+          ...(recipe.snippet !== undefined && { snippet: recipe.snippet }),
+          get_recipe_call: `get_recipe(id=${recipe.id})`
+        }))
+      };
+      if (results.length === 0) {
+        output.suggestion = conditions.length > 0
+          ? 'Try again without the difficulty or components filters, or use list_recipes() to see every recipe'
+          : noResultsSuggestion(query) || 'Use list_recipes() to see every recipe';
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error searching recipes: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'get_recipe') {
+    const id = args.id;
+
+    try {
+      const result = await dbAll(
+        `SELECT 
+          id,
+          title,
+          description,
+          markdown,
+          html,
+          keywords,
+          difficulty,
+          components_used,
+          created_at
+         FROM recipes
+         WHERE id = ?
+         LIMIT 1`,
+        [id]
+      );
+
+      if (result.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Recipe not found: ID ${id}\n\nUse search_recipes() or list_recipes() to find available recipes.`,
+            },
+          ],
+        };
+      }
+
+      const recipe = result[0];
+      let output = `# ${recipe.title}\n\n`;
+      output += `**Recipe ID:** ${recipe.id}\n`;
+      output += `**Difficulty:** ${recipe.difficulty || 'Not specified'}\n`;
+      output += `**Components Used:** ${recipe.components_used}\n`;
+      output += `**Keywords:** ${recipe.keywords}\n`;
+      output += `**Created:** ${recipe.created_at}\n\n`;
+      output += `## Description\n${recipe.description}\n\n`;
+      output += `---\n\n`;
+      output += recipe.markdown;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving recipe: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'search_examples') {
+    const query = args.query.toLowerCase();
+    const limit = args.limit || 10;
+
+    try {
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
+      const filters = await searchFilters(args, version, flavour, { examples: true });
+      const { results, ftsQuery, showingResultsFor, aliases } = await searchWithAliases({
+        tool: 'search_examples',
+        query: args.query,
+        version,
+        flavour,
+        filtered: Object.keys(filters.applied).length > 0,
+      }, ftsQuery => dbAll(
+        `SELECT 
+          e.id,
+          e.label,
+          e.inferred_label,
+          e.code,
+          e.component,
+          e.variants,
+          e.auto_init,
+          e.icons,
+          p.url,
+          p.title as page_title,
+          p.category,
+          ${PAGE_TYPE_SQL} as page_type,
+          snippet(examples_fts, 1, '<mark>', '</mark>', '...', 80) as snippet
+         FROM examples_fts
+         JOIN examples e ON examples_fts.rowid = e.id
+         JOIN pages p ON e.page_id = p.id
+         ${PAGE_COMPONENT_JOIN}
+         WHERE examples_fts MATCH ? AND p.ecl_version = ? AND p.flavour = ?${filters.sql}
+         ORDER BY examples_fts.rank
+         LIMIT ?`,
+        [ftsQuery, version, flavour, ...filters.params, limit]
+      ));
+
+      if (results.length === 0) {
+        const suggestion = Object.keys(filters.applied).length > 0
+          ? 'Try again with fewer filters (category, page_type, component, variant, needs_js, icon, has_images)'
+          : noResultsSuggestion(query);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                query: query,
+                version: version,
+                flavour: flavour,
+                filters: filters.applied,
+                total: 0,
+                results: [],
+                suggestion: suggestion
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // Facets count every match, not only the returned ones
+      const matches = await dbAll(
+        `SELECT
+          p.category,
+          ${PAGE_TYPE_SQL} as page_type,
+          e.component,
+          e.auto_init
+         FROM examples_fts
+         JOIN examples e ON examples_fts.rowid = e.id
+         JOIN pages p ON e.page_id = p.id
+         ${PAGE_COMPONENT_JOIN}
+         WHERE examples_fts MATCH ? AND p.ecl_version = ? AND p.flavour = ?${filters.sql}`,
+        [ftsQuery, version, flavour, ...filters.params]
+      );
+
+      const output = {
+        query: query,
+        version: version,
+        flavour: flavour,
+        showing_results_for: showingResultsFor,
+        aliases: aliases,
+        note: showingResultsFor
+          ? `No results for "${query}"; showing results for "${showingResultsFor}" (${aliases.map(a => `${a.term} is called ${a.ecl_name} in ECL`).join(', ')})`
+          : undefined,
+        filters: filters.applied,
+        total: results.length,
+        total_matches: matches.length,
+        facets: countFacets(matches, ['category', 'page_type', 'component', 'auto_init']),
+        results: results.map((result) => ({
+          id: result.id,
+          label: result.label || result.inferred_label || 'Untitled Example',
+          page_title: result.page_title,
+          category: result.category,
+          page_type: result.page_type,
+          component: result.component || undefined,
+          variants: JSON.parse(result.variants),
+          auto_init: result.auto_init || undefined,
+          icons: JSON.parse(result.icons),
+          url: result.url,
+          snippet: result.snippet,
+          get_example_call: `get_example(id=${result.id})`,
+        }))
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error searching examples: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'find_similar_examples') {
+    const limit = args.limit || 5;
+
+    try {
+      let version;
+      let flavour;
+      let target;
+      let source;
+
+      if (args.id) {
+        const rows = await dbAll(
+          `SELECT v.vector, v.ecl_version, v.flavour, COALESCE(e.label, e.inferred_label) as label
+           FROM example_vectors v
+           JOIN examples e ON e.id = v.example_id
+           WHERE v.example_id = ?`,
+          [args.id]
+        );
+        if (rows.length === 0) {
+          throw new Error(`Example ${args.id} is not in the similarity index. Use search_examples() to find example IDs, or run "npx ecl-mcp build-db" to rebuild the index.`);
+        }
+        ({ ecl_version: version, flavour } = rows[0]);
+        target = JSON.parse(rows[0].vector);
+        source = { id: args.id, label: rows[0].label || 'Untitled Example' };
+      } else if (args.html) {
+        flavour = normalizeFlavour(args.flavour);
+        version = await resolveVersion(args.version, flavour);
+        const [{ count }] = await dbAll(
+          'SELECT COUNT(*) as count FROM example_vectors WHERE ecl_version = ? AND flavour = ?',
+          [version, flavour]
+        );
+        if (count === 0) {
+          throw new Error(`No similarity index for ECL v${version} (${flavour.toUpperCase()}). Run "npx ecl-mcp build-db" to build it.`);
+        }
+        const features = extractFeatures(args.html);
+        if (features.size === 0) {
+          throw new Error('No HTML elements found in "html"');
+        }
+        const idf = await dbAll('SELECT feature, idf FROM example_idf WHERE ecl_version = ? AND flavour = ?', [version, flavour]);
+        target = vectorize(features, new Map(idf.map(row => [row.feature, row.idf])), inverseFrequency(count, 0));
+        source = 'html';
+      } else {
+        throw new Error('Provide "id" (an example ID from search_examples) or "html" (markup to compare)');
+      }
+
+      const candidates = await dbAll(
+        `SELECT v.example_id, v.vector, COALESCE(e.label, e.inferred_label) as label, p.title as page_title, p.url
+         FROM example_vectors v
+         JOIN examples e ON e.id = v.example_id
+         JOIN pages p ON e.page_id = p.id
+         WHERE v.ecl_version = ? AND v.flavour = ? AND v.example_id != ?`,
+        [version, flavour, args.id || 0]
+      );
+
+      const results = candidates
+        .map(candidate => {
+          const vector = JSON.parse(candidate.vector);
+          // Features contributing most to the score
+          const shared = Object.keys(target)
+            .filter(feature => vector[feature] !== undefined)
+            .sort((a, b) => vector[b] * target[b] - vector[a] * target[a]);
+          return { candidate, score: cosine(target, vector), shared };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ candidate, score, shared }) => ({
+          id: candidate.example_id,
+          label: candidate.label || 'Untitled Example',
+          page_title: candidate.page_title,
+          url: candidate.url,
+          score: Math.round(score * 1000) / 1000,
+          shared_features: shared.slice(0, 5),
+          get_example_call: `get_example(id=${candidate.example_id})`,
+        }));
+
+      const output = {
+        source,
+        version,
+        flavour,
+        total: results.length,
+        results,
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error finding similar examples: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'get_example') {
+    const id = args.id;
+
+    if (!id) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Must provide "id" parameter.\n\nExample: get_example(id=123)\n\nUse search_examples() first to find example IDs.',
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      // Get example with page info
+      const result = await dbAll(
+        `SELECT 
+          e.id,
+          e.code,
+          e.source,
+          e.label,
+          e.inferred_label,
+          e.position,
+          e.component,
+          e.variants,
+          e.auto_init,
+          e.icons,
+          e.images,
+          p.title as page_title,
+          p.url as page_url,
+          p.category,
+          p.ecl_version,
+          p.flavour
+         FROM examples e
+         JOIN pages p ON e.page_id = p.id
+         WHERE e.id = ?
+         LIMIT 1`,
+        [id]
+      );
+
+      if (result.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Example not found: ID ${id}\n\nUse search_examples() to find available examples.`,
+            },
+          ],
+        };
+      }
+
+      const example = result[0];
+      const variants = JSON.parse(example.variants);
+      const icons = JSON.parse(example.icons);
+      const images = JSON.parse(example.images);
+      let output = `# Example: ${example.label || example.inferred_label || 'Untitled'}\n\n`;
+      output += `**Example ID:** ${example.id}\n`;
+      output += `**From:** ${example.page_title}\n`;
+      output += `**URL:** ${example.page_url}\n`;
+      output += `**Category:** ${example.category}\n`;
+      output += `**ECL Version:** ${example.ecl_version} (${example.flavour.toUpperCase()})\n`;
+      if (!example.label && example.inferred_label) {
+        output += `**Label:** inferred from the markup (the documentation has no heading for this example)\n`;
+      }
+      if (example.component) {
+        output += `**Component:** ${example.component} - get_component(name="${example.component}")\n`;
+      }
+      if (variants.length > 0) {
+        output += `**Variants:** ${variants.map(v => `\`${v}\``).join(', ')}\n`;
+      }
+      output += example.auto_init
+        ? `**JavaScript:** required - data-ecl-auto-init="${example.auto_init}", initialised by ECL.autoInit()\n`
+        : `**JavaScript:** not required\n`;
+      if (icons.length > 0) {
+        output += `**Icons:** ${icons.map(i => `\`${i}\``).join(', ')}\n`;
+      }
+      if (images.length > 0) {
+        output += `**Images:** ${images.map(i => `\`${i}\``).join(', ')}\n`;
+      }
+      output += '\n';
+      if (args.source && example.source !== null) {
+        output += `## Source\n\n`;
+        output += `As published in the documentation, unformatted.\n\n`;
+        output += `\`\`\`html\n${example.source}\n\`\`\`\n`;
+      } else {
+        output += `## Code\n\n`;
+        if (args.source) {
+          output += `No verbatim source stored for this example yet, showing the formatted code. Run "node crawl.js" to re-extract the examples.\n\n`;
+        }
+        output += `\`\`\`html\n${example.code}\n\`\`\`\n`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving example: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'list_components') {
+    try {
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
+
+      const conditions = ['ecl_version = ?', 'flavour = ?'];
+      const params = [version, flavour];
+      if (args.category) {
+        conditions.push('LOWER(category) = LOWER(?)');
+        params.push(args.category);
+      }
+
+      const results = await dbAll(
+        `SELECT * FROM components WHERE ${conditions.join(' AND ')} ORDER BY section, category, name`,
+        params
+      );
+
+      const output = {
+        version: version,
+        flavour: flavour,
+        total: results.length,
+        components: results.map(component => ({
+          name: component.name,
+          slug: component.slug,
+          section: component.section,
+          category: component.category,
+          pages: {
+            usage: component.usage_url || undefined,
+            code: component.code_url || undefined,
+            api: component.api_url || undefined,
+          },
+          example_count: JSON.parse(component.example_ids).length,
+          auto_init: component.auto_init,
+          get_component_call: `get_component(name="${component.slug}")`,
+        })),
+      };
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error listing components: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'get_component') {
+    if (!args.name) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Must provide "name" parameter.\n\nExample: get_component(name="accordion")\n\nUse list_components() to see available components.',
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
+      const includeCode = args.include_code !== false; // Default to true
+
+      const component = await findComponent(args.name, version, flavour);
+      if (!component) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Component not found: "${args.name}" (ECL v${version})\n\nUse list_components() to see available components.`,
+            },
+          ],
+        };
+      }
+
+      const exampleIds = JSON.parse(component.example_ids);
+      const examples = exampleIds.length > 0
+        ? await dbAll(
+          `SELECT e.id, COALESCE(e.label, e.inferred_label) as label, e.code, p.url
+           FROM examples e
+           JOIN pages p ON e.page_id = p.id
+           WHERE e.id IN (${exampleIds.map(() => '?').join(', ')})
+           ORDER BY e.page_id, e.position`,
+          exampleIds
+        )
+        : [];
+
+      let output = `# Component: ${component.name}\n\n`;
+      output += `**Slug:** ${component.slug}\n`;
+      output += `**Category:** ${component.category}\n`;
+      output += `**ECL Version:** ${version} (${flavour.toUpperCase()})\n`;
+      output += component.auto_init
+        ? `**JavaScript:** required - add \`data-ecl-auto-init="${component.auto_init}"\` and call \`ECL.autoInit()\`\n\n`
+        : `**JavaScript:** none (CSS only)\n\n`;
+
+      output += `## Pages\n\n`;
+      for (const type of ['usage', 'code', 'api']) {
+        const url = component[`${type}_url`];
+        if (url) {
+          output += `- **${type}:** ${url} - \`get_documentation_page(url="${url}")\`\n`;
+        }
+      }
+      if (component.api_url) {
+        output += `\nStructured options, events and data attributes: \`get_component_api(name="${component.slug}")\`\n`;
+      }
+
+      output += `\n## Examples (${examples.length})\n\n`;
+      if (examples.length === 0) {
+        output += `No code examples for this component.\n`;
+      }
+      for (const example of examples) {
+        output += `### Example ${example.id}: ${example.label || 'Untitled'}\n\n`;
+        if (includeCode) {
+          output += `\`\`\`html\n${example.code}\n\`\`\`\n\n`;
+        } else {
+          output += `\`get_example(id=${example.id})\`\n\n`;
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: output,
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error retrieving component: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'get_component_api') {
+    if (!args.name && !args.url) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Must provide "name" or "url" parameter.\n\nExample: get_component_api(name="accordion")\n\nUse list_components() to see available components.',
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    try {
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
 
-      if (results.length === 0) {
-        const words = query.split(/\s+/);
-        const suggestion = words.length > 1
-          ? `Try searching with just one word (e.g., "${words[0]}" instead of "${query}")`
-          : null;
+      const component = args.url
+        ? await findComponentByUrl(args.url, version, flavour)
+        : await findComponent(args.name, version, flavour);
+      const apiUrl = args.url || (component && component.api_url);
 
+      if (!apiUrl) {
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                query: query,
-                total: 0,
-                results: [],
-                suggestion: suggestion
-              }, null, 2),
+              text: component
+                ? `${component.name} has no API page (ECL v${version}). It is CSS only or configured through markup - see get_component(name="${component.slug}").`
+                : `Component not found: "${args.name}" (ECL v${version})\n\nUse list_components() to see available components.`,
             },
           ],
         };
       }
 
-      // Check for examples and sister pages for each page
-      const resultsWithExamples = await Promise.all(
-        results.map(async (result) => {
-          const exampleCount = await dbAll(
-            'SELECT COUNT(*) as count FROM examples WHERE page_id = ?',
-            [result.id]
-          );
-
-          const hierarchy = [
-            result.hierarchy_1,
-            result.hierarchy_2,
-            result.hierarchy_3,
-            result.hierarchy_4,
-          ].filter(h => h);
-
-          // Find sister pages (same hierarchy except last field)
-          // The last non-null hierarchy field is the page type (usage/code/api)
-          let sisterPages = [];
-          const sisterTypes = ['usage', 'code', 'api'];
-
-          // Determine which hierarchy level contains the page type
-          let pageType = null;
-          let hierarchyLevel = null;
-
-          if (result.hierarchy_4 && sisterTypes.includes(result.hierarchy_4)) {
-            pageType = result.hierarchy_4;
-            hierarchyLevel = 4;
-          } else if (result.hierarchy_3 && sisterTypes.includes(result.hierarchy_3)) {
-            pageType = result.hierarchy_3;
-            hierarchyLevel = 3;
-          } else if (result.hierarchy_2 && sisterTypes.includes(result.hierarchy_2)) {
-            pageType = result.hierarchy_2;
-            hierarchyLevel = 2;
-          }
-
-          if (pageType && hierarchyLevel) {
-            // Build condition to match siblings
-            const conditions = [];
-            const params = [];
-
-            // Match all hierarchy levels before the page type
-            if (hierarchyLevel >= 2 && result.hierarchy_1) {
-              conditions.push('hierarchy_1 = ?');
-              params.push(result.hierarchy_1);
-            }
-            if (hierarchyLevel >= 3 && result.hierarchy_2) {
-              conditions.push('hierarchy_2 = ?');
-              params.push(result.hierarchy_2);
-            }
-            if (hierarchyLevel >= 4 && result.hierarchy_3) {
-              conditions.push('hierarchy_3 = ?');
-              params.push(result.hierarchy_3);
-            }
-
-            // Ensure levels after page type are null
-            if (hierarchyLevel === 2) {
-              conditions.push('hierarchy_3 IS NULL');
-              conditions.push('hierarchy_4 IS NULL');
-            } else if (hierarchyLevel === 3) {
-              conditions.push('hierarchy_4 IS NULL');
-            }
-
-            const whereClause = conditions.join(' AND ');
-            const hierarchyField = `hierarchy_${hierarchyLevel}`;
-
-            const sisters = await dbAll(
-              `SELECT url, title, ${hierarchyField} as page_type FROM pages WHERE ${whereClause} AND ${hierarchyField} != ?`,
-              [...params, pageType]
-            );
-
-            sisterPages = sisters.map(s => ({
-              type: s.page_type,
-              url: s.url,
-              title: s.title,
-              get_page_call: `get_documentation_page(url="${s.url}")`
-            }));
-          }
+      const conditions = ['p.url = ?', 'p.ecl_version = ?'];
+      const params = [apiUrl, version];
+      if (args.kind) {
+        conditions.push('a.kind = ?');
+        params.push(args.kind);
+      }
 
-          return {
-            title: result.title,
-            url: result.url,
-            category: result.category,
-            hierarchy: hierarchy,
-            snippet: result.snippet,
-            has_examples: exampleCount[0].count > 0,
-            example_count: exampleCount[0].count,
-            related_pages: sisterPages.length > 0 ? sisterPages : undefined,
-            get_examples_call: exampleCount[0].count > 0
-              ? `get_documentation_page_examples(url="${result.url}")`
-              : null,
-            get_page_call: `get_documentation_page(url="${result.url}")`
-          };
-        })
+      const entries = await dbAll(
+        `SELECT a.kind, a.name, a.type, a.default_value, a.description, a.data_attribute
+         FROM component_api a
+         JOIN pages p ON a.page_id = p.id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY a.position`,
+        params
       );
 
+      // options, events, methods, attributes, parameters
+      const groups = {};
+      for (const entry of entries) {
+        const group = `${entry.kind}s`;
+        groups[group] = groups[group] || [];
+        groups[group].push({
+          name: entry.name,
+          type: entry.type || undefined,
+          default: entry.default_value || undefined,
+          description: entry.description || undefined,
+          data_attribute: entry.data_attribute || undefined,
+        });
+      }
+
       const output = {
-        query: query,
-        total: results.length,
-        results: resultsWithExamples
+        component: component ? component.name : undefined,
+        version: version,
+        flavour: flavour,
+        url: apiUrl,
+        auto_init: component ? component.auto_init : undefined,
+        total: entries.length,
+        ...groups,
+        note: entries.length === 0
+          ? (args.kind
+            ? `No ${args.kind} entries on this page.`
+            : 'No API tables found on this page. Read it with get_documentation_page instead.')
+          : undefined,
       };
 
       return {
@@ -700,7 +2543,7 @@ Icons and logos from same CDN:
         content: [
           {
             type: 'text',
-            text: `Error searching: ${error.message}`,
+            text: `Error retrieving component API: ${error.message}`,
           },
         ],
         isError: true,
@@ -708,33 +2551,38 @@ Icons and logos from same CDN:
     }
   }
 
-  if (name === 'list_recipes') {
+  if (name === 'validate_ecl_markup') {
+    if (!args.html) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Must provide "html" parameter.\n\nExample: validate_ecl_markup(html="<button class=\\"ecl-button ecl-button--primary\\">Save</button>")',
+          },
+        ],
+        isError: true,
+      };
+    }
+
     try {
-      const results = await dbAll(
-        `SELECT 
-          id,
-          title,
-          description,
-          difficulty,
-          components_used,
-          keywords,
-          created_at
-         FROM recipes
-         ORDER BY id ASC`
-      );
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveVersion(args.version, flavour);
+      const context = await getValidationContext(version, flavour);
+
+      const lines = args.html.split('\n');
+      const findings = validateMarkup(args.html, context).map(finding => ({
+        ...finding,
+        code: lines[finding.line - 1].trim().substring(0, 160),
+      }));
+      const errors = findings.filter(finding => finding.severity === 'error').length;
 
       const output = {
-        total: results.length,
-        recipes: results.map(recipe => ({
-          id: recipe.id,
-          title: recipe.title,
-          description: recipe.description,
-          difficulty: recipe.difficulty,
-          components_used: recipe.components_used,
-          keywords: recipe.keywords,
-          created_at: recipe.created_at,
-          get_recipe_call: `get_recipe(id=${recipe.id})`
-        }))
+        valid: errors === 0,
+        version: version,
+        flavour: flavour,
+        errors: errors,
+        warnings: findings.length - errors,
+        findings: findings,
       };
 
       return {
@@ -750,7 +2598,7 @@ Icons and logos from same CDN:
         content: [
           {
             type: 'text',
-            text: `Error listing recipes: ${error.message}`,
+            text: `Error validating markup: ${error.message}`,
           },
         ],
         isError: true,
@@ -758,54 +2606,93 @@ Icons and logos from same CDN:
     }
   }
 
-  if (name === 'get_recipe') {
-    const id = args.id;
+  if (name === 'lookup_css_class') {
+    if (!args.name) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Error: Must provide "name" parameter.\n\nExample: lookup_css_class(name="ecl-button--primary")',
+          },
+        ],
+        isError: true,
+      };
+    }
 
     try {
-      const result = await dbAll(
-        `SELECT 
-          id,
-          title,
-          description,
-          markdown,
-          html,
-          keywords,
-          difficulty,
-          components_used,
-          created_at
-         FROM recipes
-         WHERE id = ?
-         LIMIT 1`,
-        [id]
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveCssVersion(args.version, flavour);
+      const className = args.name.trim().replace(/^\./, '');
+      const exampleLimit = args.example_limit || 5;
+
+      const knownClasses = await getIndexedClasses(version, flavour);
+      const rows = await dbAll(
+        'SELECT * FROM css_classes WHERE ecl_version = ? AND flavour = ? AND name = ?',
+        [version, flavour, className]
       );
 
-      if (result.length === 0) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Recipe not found: ID ${id}\n\nUse 'recipe_search' to find available recipes.`,
-            },
-          ],
+      let output;
+      if (rows.length === 0) {
+        const suggestion = closestName(className, knownClasses);
+        output = {
+          name: className,
+          exists: false,
+          version: version,
+          flavour: flavour,
+          did_you_mean: suggestion || undefined,
+          search_call: `search_css_classes(query="${className.replace(/^ecl-(u-)?/, '').split(/__|--|-/)[0]}")`,
         };
-      }
+      } else {
+        const info = rows[0];
+
+        // Other modifiers of the same block or element, or the utilities
+        // sharing its prefix (ecl-u-mt-m -> ecl-u-mt-*)
+        const related = info.kind === 'utility'
+          ? await dbAll(
+            `SELECT name FROM css_classes
+             WHERE ecl_version = ? AND flavour = ? AND name LIKE ? AND name != ?
+             ORDER BY LENGTH(name), name LIMIT 30`,
+            [version, flavour, `${className.split('-').slice(0, 3).join('-')}-%`, className]
+          )
+          : await dbAll(
+            `SELECT name FROM css_classes
+             WHERE ecl_version = ? AND flavour = ? AND block = ? AND IFNULL(element, '') = ? AND modifier IS NOT NULL AND name != ?
+             ORDER BY name`,
+            [version, flavour, info.block, info.element || '', className]
+          );
 
-      const recipe = result[0];
-      let output = `# ${recipe.title}\n\n`;
-      output += `**Recipe ID:** ${recipe.id}\n`;
-      output += `**Difficulty:** ${recipe.difficulty || 'Not specified'}\n`;
-      output += `**Components Used:** ${recipe.components_used}\n`;
-      output += `**Keywords:** ${recipe.keywords}\n`;
-      output += `**Created:** ${recipe.created_at}\n\n`;
-      output += `## Description\n${recipe.description}\n\n`;
-      output += `---\n\n`;
-      output += recipe.markdown;
+        const component = info.kind === 'component'
+          ? await findComponent(info.component, version, flavour)
+          : null;
+        const examples = await findExamplesUsingClass(className, version, flavour);
+
+        output = {
+          name: className,
+          exists: true,
+          version: version,
+          flavour: flavour,
+          kind: info.kind,
+          block: info.block || undefined,
+          element: info.element || undefined,
+          modifier: info.modifier || undefined,
+          utility_group: info.utility_group || undefined,
+          requires: info.modifier ? info.name.substring(0, info.name.lastIndexOf('--')) : undefined,
+          stylesheet: info.stylesheet,
+          [info.kind === 'utility' ? 'related' : 'modifiers']: related.map(row => row.name),
+          get_component_call: component ? `get_component(name="${component.slug}")` : undefined,
+          example_count: examples.length,
+          examples: examples.slice(0, exampleLimit).map(example => ({
+            ...example,
+            get_example_call: `get_example(id=${example.id})`,
+          })),
+        };
+      }
 
       return {
         content: [
           {
             type: 'text',
-            text: output,
+            text: JSON.stringify(output, null, 2),
           },
         ],
       };
@@ -814,7 +2701,7 @@ Icons and logos from same CDN:
         content: [
           {
             type: 'text',
-            text: `Error retrieving recipe: ${error.message}`,
+            text: `Error looking up CSS class: ${error.message}`,
           },
         ],
         isError: true,
@@ -822,62 +2709,98 @@ Icons and logos from same CDN:
     }
   }
 
-  if (name === 'search_examples') {
-    const query = args.query.toLowerCase();
-    const limit = args.limit || 10;
-
+  if (name === 'search_css_classes') {
     try {
-      let results = await dbAll(
-        `SELECT 
-          e.id,
-          e.label,
-          e.code,
-          p.url,
-          p.title as page_title,
-          p.category,
-          snippet(examples_fts, 1, '<mark>', '</mark>', '...', 80) as snippet
-         FROM examples_fts
-         JOIN examples e ON examples_fts.rowid = e.id
-         JOIN pages p ON e.page_id = p.id
-         WHERE examples_fts MATCH ?
-         ORDER BY examples_fts.rank
+      const flavour = normalizeFlavour(args.flavour);
+      const version = await resolveCssVersion(args.version, flavour);
+      const limit = args.limit || 50;
+      await getIndexedClasses(version, flavour);
+
+      const conditions = ['ecl_version = ?', 'flavour = ?'];
+      const params = [version, flavour];
+      const words = (args.query || '').trim().replace(/^\./, '').split(/\s+/).filter(w => w);
+      for (const word of words) {
+        conditions.push('name LIKE ?');
+        params.push(`%${word}%`);
+      }
+      for (const filter of ['kind', 'component', 'utility_group']) {
+        if (args[filter]) {
+          conditions.push(`${filter} = ?`);
+          params.push(args[filter]);
+        }
+      }
+
+      const where = conditions.join(' AND ');
+      const total = await dbAll(`SELECT COUNT(*) as count FROM css_classes WHERE ${where}`, params);
+      const results = await dbAll(
+        `SELECT name, kind, component, element, modifier, utility_group FROM css_classes
+         WHERE ${where}
+         ORDER BY LENGTH(name), name
          LIMIT ?`,
-        [query, limit]
+        [...params, limit]
       );
 
-      if (results.length === 0) {
-        const words = query.split(/\s+/);
-        const suggestion = words.length > 1
-          ? `Try searching with just one word (e.g., "${words[0]}" instead of "${query}")`
-          : null;
+      const output = {
+        query: args.query,
+        version: version,
+        flavour: flavour,
+        total: total[0].count,
+        results: results.map(row => ({
+          name: row.name,
+          kind: row.kind,
+          component: row.component || undefined,
+          element: row.element || undefined,
+          modifier: row.modifier || undefined,
+          utility_group: row.utility_group || undefined,
+        })),
+      };
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                query: query,
-                total: 0,
-                results: [],
-                suggestion: suggestion
-              }, null, 2),
-            },
-          ],
-        };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(output, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error searching CSS classes: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (name === 'list_icons') {
+    try {
+      const version = await resolveIconVersion(args.version);
+      const query = (args.query || '').trim().toLowerCase();
+      const icons = (await getIndexedIcons(version))
+        .filter(icon => !args.set || icon.icon_set === args.set)
+        .filter(icon => !query || icon.name.toLowerCase().includes(query));
+
+      const sets = {};
+      for (const icon of icons) {
+        sets[icon.icon_set] = (sets[icon.icon_set] || 0) + 1;
       }
 
       const output = {
-        query: query,
-        total: results.length,
-        results: results.map((result) => ({
-          id: result.id,
-          label: result.label || 'Untitled Example',
-          page_title: result.page_title,
-          category: result.category,
-          url: result.url,
-          snippet: result.snippet,
-          get_example_call: `get_example(id=${result.id})`,
-        }))
+        version: version,
+        set: args.set,
+        query: args.query,
+        total: icons.length,
+        sets: sets,
+        icons: icons.map(icon => ({
+          name: icon.name,
+          set: icon.icon_set,
+          sprite: icon.sprite,
+        })),
+        get_icon_markup_call: icons.length > 0 ? `get_icon_markup(name="${icons[0].name}")` : undefined,
       };
 
       return {
@@ -893,7 +2816,7 @@ Icons and logos from same CDN:
         content: [
           {
             type: 'text',
-            text: `Error searching examples: ${error.message}`,
+            text: `Error listing icons: ${error.message}`,
           },
         ],
         isError: true,
@@ -901,15 +2824,13 @@ Icons and logos from same CDN:
     }
   }
 
-  if (name === 'get_example') {
-    const id = args.id;
-
-    if (!id) {
+  if (name === 'get_icon_markup') {
+    if (!args.name) {
       return {
         content: [
           {
             type: 'text',
-            text: 'Error: Must provide "id" parameter.\n\nExample: get_example(id=123)\n\nUse search_examples() first to find example IDs.',
+            text: 'Error: Must provide "name" parameter.\n\nExample: get_icon_markup(name="search", size="s")\n\nUse list_icons() to see available icons.',
           },
         ],
         isError: true,
@@ -917,42 +2838,51 @@ Icons and logos from same CDN:
     }
 
     try {
-      // Get example with page info
-      const result = await dbAll(
-        `SELECT 
-          e.id,
-          e.code,
-          e.label,
-          e.position,
-          p.title as page_title,
-          p.url as page_url,
-          p.category
-         FROM examples e
-         JOIN pages p ON e.page_id = p.id
-         WHERE e.id = ?
-         LIMIT 1`,
-        [id]
-      );
-
-      if (result.length === 0) {
+      const version = await resolveIconVersion(args.version);
+      const iconName = args.name.trim().replace(/^.*#/, '');
+      const icons = await getIndexedIcons(version);
+      const matches = icons.filter(icon => icon.name === iconName && (!args.set || icon.icon_set === args.set));
+
+      if (matches.length === 0) {
+        const suggestion = closestName(iconName, new Set(icons.map(icon => icon.name)));
+        const similar = icons
+          .filter(icon => icon.name === suggestion || icon.name.toLowerCase().includes(iconName.toLowerCase().split('-')[0]))
+          .slice(0, 10)
+          .map(icon => `${icon.name} (${icon.icon_set})`);
         return {
           content: [
             {
               type: 'text',
-              text: `Example not found: ID ${id}\n\nUse search_examples() to find available examples.`,
+              text: `Icon not found: "${iconName}"${args.set ? ` in the ${args.set} set` : ''} (ECL v${version})\n\n` +
+                (similar.length > 0 ? `Similar icons: ${similar.join(', ')}\n\n` : '') +
+                'Use list_icons() to see available icons.',
             },
           ],
         };
       }
 
-      const example = result[0];
-      let output = `# Example: ${example.label || 'Untitled'}\n\n`;
-      output += `**Example ID:** ${example.id}\n`;
-      output += `**From:** ${example.page_title}\n`;
-      output += `**URL:** ${example.page_url}\n`;
-      output += `**Category:** ${example.category}\n\n`;
-      output += `## Code\n\n`;
-      output += `\`\`\`html\n${example.code}\n\`\`\`\n`;
+      const icon = matches[0];
+      const markup = iconMarkup({
+        sprite: icon.sprite,
+        name: icon.name,
+        size: args.size || 'm',
+        color: args.color,
+        transform: args.transform,
+        assetPath: args.asset_path,
+      });
+
+      let output = `# Icon: ${icon.name}\n\n`;
+      output += `**Set:** ${icon.icon_set}\n`;
+      output += `**Sprite:** ${(args.asset_path || 'assets/icons').replace(/\/+$/, '')}/${icon.sprite}\n`;
+      output += `**ECL Version:** ${version}\n\n`;
+      output += `\`\`\`html\n${markup}\n\`\`\`\n\n`;
+      if (matches.length > 1) {
+        output += `Also in: ${matches.slice(1).map(m => m.icon_set).join(', ')} (pass \`set\` to choose)\n\n`;
+      }
+      output += `**Sizes:** ${ICON_SIZES.join(', ')}\n`;
+      output += `**Colors:** ${ICON_COLORS.join(', ')} (use inverted on dark backgrounds)\n`;
+      output += `**Transforms:** ${ICON_TRANSFORMS.join(', ')}\n\n`;
+      output += `Decorative icons are hidden from screen readers (aria-hidden="true"). Icon-only buttons need a visually hidden label or aria-label on the button.\n`;
 
       return {
         content: [
@@ -967,7 +2897,7 @@ Icons and logos from same CDN:
         content: [
           {
             type: 'text',
-            text: `Error retrieving example: ${error.message}`,
+            text: `Error retrieving icon markup: ${error.message}`,
           },
         ],
         isError: true,
@@ -980,12 +2910,42 @@ Icons and logos from same CDN:
 
 // Start server
 async function main() {
+  // Fail fast if the database is missing or out of date
+  try {
+    db = await openCheckedDatabase(dbPath);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  dbAll = promisify(db.all.bind(db));
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('EC Europa Component Library MCP Server running on stdio');
 }
 
-main().catch((error) => {
-  console.error('Server error:', error);
-  process.exit(1);
-});
+const command = process.argv[2];
+
+if (command === 'build-db') {
+  buildDatabase(dbPath, process.argv.slice(3)).catch((error) => {
+    console.error(`❌ Database build failed: ${error.message}`);
+    process.exit(1);
+  });
+} else if (command === 'search-misses') {
+  try {
+    reportSearchMisses(searchMissesPath, process.argv.slice(3));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+} else if (command === 'extraction-report') {
+  reportExtraction(dbPath, process.argv.slice(3)).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  main().catch((error) => {
+    console.error('Server error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,98 @@
+// Generic UI words -> ECL names. Searches that find nothing for the query as
+// typed are retried with these names ("dropdown" -> "select"). Grow the list
+// from the zero-result queries reported by `ecl-mcp search-misses`.
+// Keys are lowercase; only add words that are not ECL names themselves.
+const ALIASES = {
+  // Form components
+  'dropdown': 'select',
+  'drop-down': 'select',
+  'combobox': 'select',
+  'multiselect': 'select',
+  'textbox': 'text field',
+  'text input': 'text field',
+  'input field': 'text field',
+  'textarea': 'text area',
+  'radio button': 'radio',
+  'date picker': 'datepicker',
+  'calendar': 'datepicker',
+  'file input': 'file upload',
+  'uploader': 'file upload',
+  'slider': 'range',
+  'star rating': 'rating field',
+
+  // Navigation
+  'navbar': 'menu',
+  'nav bar': 'menu',
+  'navigation bar': 'menu',
+  'main menu': 'menu',
+  'hamburger': 'menu',
+  'breadcrumbs': 'breadcrumb',
+  'pager': 'pagination',
+  'paging': 'pagination',
+  'sidebar': 'inpage navigation',
+  'table of contents': 'inpage navigation',
+  'toc': 'inpage navigation',
+  'scrollspy': 'inpage navigation',
+  'header': 'site header',
+  'footer': 'site footer',
+
+  // Feedback and overlays
+  'toast': 'notification',
+  'snackbar': 'notification',
+  'alert': 'notification',
+  'flash message': 'notification',
+  'callout': 'notification',
+  'tooltip': 'popover',
+  'flyout': 'popover',
+  'dialog': 'modal',
+  'lightbox': 'gallery',
+  'spinner': 'loading indicator',
+  'loader': 'loading indicator',
+  'progress indicator': 'loading indicator',
+
+  // Content
+  'collapsible': 'expandable',
+  'collapse': 'expandable',
+  'disclosure': 'expandable',
+  'faq': 'accordion',
+  'hero': 'banner',
+  'jumbotron': 'banner',
+  'slideshow': 'carousel',
+  'badge': 'label',
+  'chip': 'tag',
+  'pill': 'tag',
+  'quote': 'blockquote',
+  'pull quote': 'blockquote',
+  'key figures': 'fact figures',
+  'statistics': 'fact figures',
+  'tile': 'card',
+  'data table': 'table',
+  'definition list': 'description list',
+};
+
+// Longest aliases first, so a multi-word alias matches as a whole
+const ALIAS_REGEX = new RegExp(
+  `(^|[^\\w-])(${Object.keys(ALIASES)
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|')})(?=$|[^\\w-])`,
+  'gi'
+);
+
+// Replace the aliases of a query with their ECL names. Returns
+// { query, aliases: [{ term, ecl_name }] }, or null when the query has no
+// alias.
+function expandAliases(query) {
+  const aliases = [];
+  const expanded = String(query || '').replace(ALIAS_REGEX, (match, before, term) => {
+    const eclName = ALIASES[term.toLowerCase()];
+    aliases.push({ term: term.toLowerCase(), ecl_name: eclName });
+    return `${before}${eclName}`;
+  });
+  return aliases.length > 0 ? { query: expanded, aliases } : null;
+}
+
+module.exports = {
+  ALIASES,
+  expandAliases,
+};
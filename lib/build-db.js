@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { promisify, parseArgs } = require('util');
+const { migrate, SCHEMA_VERSION } = require('./schema');
+const { buildComponents } = require('./components');
+const { buildComponentApi } = require('./component-api');
+const { buildExampleMetadata } = require('./example-metadata');
+const { buildSimilarityIndex } = require('./similarity');
+const { buildSections } = require('./sections');
+const { buildCssIndex } = require('./css-index');
+const { buildIconIndex } = require('./icons');
+const { importRecipes } = require('./recipes');
+const { loadValidationContext } = require('./validate');
+const { DEFAULT_ECL_VERSION, normalizeVersion } = require('./versions');
+
+// `ecl-mcp build-db [--force] [--ecl-version <x.y.z>] [--css-dir <dir>] [--icons-dir <dir>] [--recipes-dir <dir>]`
+// Creates ecl-database.sqlite with every table, FTS5 index and trigger, or
+// migrates an existing database to the current schema version, then
+// rebuilds the data derived from crawled pages (component registry, API
+// entries, example metadata, similarity index and page sections), the CSS
+// class index and the icon index, and imports the recipes of --recipes-dir (default recipes/).
+// --force deletes the existing database first.
+// --ecl-version is the ECL release of the stylesheets in --css-dir and the
+// sprites in --icons-dir (default 4.11.1, assets/css and assets/icons: what
+// download-ecl-assets.sh fetches by default). Recipe markup is validated
+// against that release (EC flavour); recipes with errors are skipped and
+// the command exits with status 1.
+async function buildDatabase(dbPath, argv = []) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: {
+      force: { type: 'boolean', default: false },
+      'ecl-version': { type: 'string', default: DEFAULT_ECL_VERSION },
+      'css-dir': { type: 'string', default: path.join(__dirname, '..', 'assets', 'css') },
+      'icons-dir': { type: 'string', default: path.join(__dirname, '..', 'assets', 'icons') },
+      'recipes-dir': { type: 'string', default: path.join(__dirname, '..', 'recipes') },
+    },
+  });
+  const force = options.force;
+
+  if (force && fs.existsSync(dbPath)) {
+    console.log(`🗑️  Removing existing database: ${dbPath}`);
+    fs.unlinkSync(dbPath);
+  }
+
+  const isNew = !fs.existsSync(dbPath);
+  const db = new sqlite3.Database(dbPath);
+  const dbClose = promisify(db.close.bind(db));
+  const dbAll = promisify(db.all.bind(db));
+  const dbRun = promisify(db.run.bind(db));
+
+  try {
+    const result = await migrate(db, message => console.log(`  ${message}`));
+
+    if (isNew) {
+      console.log(`✅ Created database at schema version ${SCHEMA_VERSION}: ${dbPath}`);
+      console.log('   Run "node crawl.js" to populate it with documentation pages and examples.');
+    } else if (result.applied > 0) {
+      console.log(`✅ Migrated database from version ${result.from} to ${result.to}: ${dbPath}`);
+    } else {
+      console.log(`✅ Database already at schema version ${SCHEMA_VERSION}: ${dbPath}`);
+    }
+
+    // Derived data builders all take { dbAll, dbRun, eclVersion, flavour }:
+    // promisified db.all/db.run on the database to write, inside a
+    // transaction opened by the caller, and the build to rebuild. Each one
+    // replaces the rows of that build only, and they run in this order as
+    // later ones read what earlier ones wrote (see crawl.js too).
+    const builds = await dbAll('SELECT DISTINCT ecl_version, flavour FROM pages ORDER BY ecl_version, flavour');
+    for (const { ecl_version: eclVersion, flavour } of builds) {
+      await dbRun('BEGIN');
+      const count = await buildComponents({ dbAll, dbRun, eclVersion, flavour });
+      const apiCount = await buildComponentApi({ dbAll, dbRun, eclVersion, flavour });
+      const exampleCount = await buildExampleMetadata({ dbAll, dbRun, eclVersion, flavour });
+      const similarCount = await buildSimilarityIndex({ dbAll, dbRun, eclVersion, flavour });
+      const sectionCount = await buildSections({ dbAll, dbRun, eclVersion, flavour });
+      await dbRun('COMMIT');
+      console.log(`🧩 ECL v${eclVersion} (${flavour.toUpperCase()}): ${count} components, ${apiCount} API entries, ${exampleCount} examples classified, ${similarCount} in the similarity index, ${sectionCount} page sections`);
+    }
+
+    const assetsVersion = normalizeVersion(options['ecl-version']);
+    await dbRun('BEGIN');
+    const cssCounts = await buildCssIndex({ dbRun, eclVersion: assetsVersion, cssDir: options['css-dir'] });
+    const iconCounts = await buildIconIndex({ dbRun, eclVersion: assetsVersion, iconsDir: options['icons-dir'] });
+    await dbRun('COMMIT');
+    for (const [flavour, count] of Object.entries(cssCounts)) {
+      console.log(`🎨 ECL v${assetsVersion} (${flavour.toUpperCase()}): ${count} CSS classes from ${options['css-dir']}`);
+    }
+    if (Object.keys(cssCounts).length === 0) {
+      console.log(`⚠️  No ECL stylesheets in ${options['css-dir']}, CSS class index not built. Run ./download-ecl-assets.sh first.`);
+    }
+    if (Object.keys(iconCounts).length > 0) {
+      const sets = Object.entries(iconCounts).map(([set, count]) => `${count} ${set}`).join(', ');
+      console.log(`🖼️  ECL v${assetsVersion}: ${sets} icons from ${options['icons-dir']}`);
+    } else {
+      console.log(`⚠️  No ECL sprites in ${options['icons-dir']}, icon index not built. Run ./download-ecl-assets.sh first.`);
+    }
+
+    const context = await loadValidationContext({
+      dbAll,
+      version: assetsVersion,
+      flavour: 'ec',
+      cssDir: options['css-dir'],
+      iconsDir: options['icons-dir'],
+      extraMarkup: [fs.readFileSync(path.join(__dirname, '..', 'starter_template.html'), 'utf8')],
+    });
+    await dbRun('BEGIN');
+    const recipes = await importRecipes({ dbAll, dbRun, recipesDir: options['recipes-dir'], context });
+    await dbRun('COMMIT');
+    for (const finding of recipes.findings) {
+      const icon = finding.severity === 'error' ? '❌' : '⚠️ ';
+      console.log(`${icon} ${path.join(options['recipes-dir'], finding.file)}:${finding.line} [${finding.rule}] ${finding.message}`);
+    }
+    console.log(`🍳 Recipes from ${options['recipes-dir']}: ${recipes.imported} imported, ${recipes.updated} updated, ${recipes.removed} removed, ${recipes.failed} failed`);
+    if (recipes.failed > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await dbClose();
+  }
+}
+
+module.exports = { buildDatabase };
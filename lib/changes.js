@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+function hash(text) {
+  return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+// Capture what a database contains for one ECL version and flavour, keyed by
+// page URL, so two builds can be compared. `dbAll` is a promisified db.all
+// for the database to inspect.
+async function takeSnapshot(dbAll, eclVersion, flavour) {
+  const pages = new Map();
+
+  const pageRows = await dbAll(
+    'SELECT id, url, title, content FROM pages WHERE ecl_version = ? AND flavour = ?',
+    [eclVersion, flavour]
+  );
+  const pagesById = new Map();
+  for (const row of pageRows) {
+    const page = { url: row.url, title: row.title, contentHash: hash(row.content), examples: [] };
+    pages.set(row.url, page);
+    pagesById.set(row.id, page);
+  }
+
+  const exampleRows = await dbAll(
+    `SELECT e.page_id, e.code, e.label
+     FROM examples e
+     JOIN pages p ON e.page_id = p.id
+     WHERE p.ecl_version = ? AND p.flavour = ?
+     ORDER BY e.page_id, e.position`,
+    [eclVersion, flavour]
+  );
+  for (const row of exampleRows) {
+    const page = pagesById.get(row.page_id);
+    if (page) {
+      page.examples.push({ label: row.label, codeHash: hash(row.code) });
+    }
+  }
+
+  return pages;
+}
+
+// Examples are matched by their code, so a reordered page is not a change
+function diffExamples(before, after) {
+  const beforeHashes = new Set(before.map(e => e.codeHash));
+  const afterHashes = new Set(after.map(e => e.codeHash));
+  return {
+    added: after.filter(e => !beforeHashes.has(e.codeHash)),
+    removed: before.filter(e => !afterHashes.has(e.codeHash)),
+  };
+}
+
+// Compare two snapshots. Returns added/removed/modified pages, each with the
+// examples that were added or removed on that page.
+function diffSnapshots(before, after) {
+  const changes = { added: [], removed: [], modified: [] };
+
+  for (const [url, page] of after) {
+    const old = before.get(url);
+    if (!old) {
+      changes.added.push({ url, title: page.title, examples: { added: page.examples, removed: [] } });
+      continue;
+    }
+
+    const examples = diffExamples(old.examples, page.examples);
+    const titleChanged = old.title !== page.title;
+    const contentChanged = old.contentHash !== page.contentHash;
+    if (titleChanged || contentChanged || examples.added.length || examples.removed.length) {
+      changes.modified.push({ url, title: page.title, titleChanged, contentChanged, examples });
+    }
+  }
+
+  for (const [url, page] of before) {
+    if (!after.has(url)) {
+      changes.removed.push({ url, title: page.title, examples: { added: [], removed: page.examples } });
+    }
+  }
+
+  return changes;
+}
+
+function countExamples(changes, key) {
+  return [...changes.added, ...changes.removed, ...changes.modified]
+    .reduce((total, page) => total + page.examples[key].length, 0);
+}
+
+function hasChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.modified.length > 0;
+}
+
+// Human-readable summary of a diff, one line per page
+function formatChanges(changes) {
+  const lines = [];
+  lines.push(
+    `Pages: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.modified.length} modified`
+  );
+  lines.push(
+    `Examples: ${countExamples(changes, 'added')} added, ${countExamples(changes, 'removed')} removed`
+  );
+
+  const describeExamples = (examples) => {
+    const parts = [];
+    if (examples.added.length) parts.push(`+${examples.added.length} examples`);
+    if (examples.removed.length) parts.push(`-${examples.removed.length} examples`);
+    return parts.length ? ` (${parts.join(', ')})` : '';
+  };
+
+  for (const page of changes.added) {
+    lines.push(`  + ${page.title || page.url} - ${page.url}${describeExamples(page.examples)}`);
+  }
+  for (const page of changes.removed) {
+    lines.push(`  - ${page.title || page.url} - ${page.url}${describeExamples(page.examples)}`);
+  }
+  for (const page of changes.modified) {
+    const what = [];
+    if (page.titleChanged) what.push('title');
+    if (page.contentChanged) what.push('content');
+    const detail = what.length ? ` [${what.join(', ')}]` : '';
+    lines.push(`  ~ ${page.title || page.url} - ${page.url}${detail}${describeExamples(page.examples)}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Markdown changelog entry for a crawl, listing examples by label
+function formatChangelog(changes, date, eclVersion, flavour) {
+  const link = page => `[${page.title || page.url}](${page.url})`;
+  const labels = examples => examples.map(e => `"${e.label || 'Untitled example'}"`).join(', ');
+
+  const describeExamples = (examples) => {
+    const parts = [];
+    if (examples.added.length) parts.push(`examples added: ${labels(examples.added)}`);
+    if (examples.removed.length) parts.push(`examples removed: ${labels(examples.removed)}`);
+    return parts;
+  };
+
+  const lines = [`## ${date.toISOString().slice(0, 10)} - ECL v${eclVersion} (${flavour.toUpperCase()})`, ''];
+
+  if (changes.added.length) {
+    lines.push('### Added pages', '');
+    for (const page of changes.added) {
+      lines.push(`- ${link(page)} (${page.examples.added.length} examples)`);
+    }
+    lines.push('');
+  }
+
+  if (changes.removed.length) {
+    lines.push('### Removed pages', '');
+    for (const page of changes.removed) {
+      lines.push(`- ${link(page)} (${page.examples.removed.length} examples)`);
+    }
+    lines.push('');
+  }
+
+  if (changes.modified.length) {
+    lines.push('### Modified pages', '');
+    for (const page of changes.modified) {
+      const parts = [];
+      if (page.titleChanged) parts.push('title changed');
+      if (page.contentChanged) parts.push('content changed');
+      parts.push(...describeExamples(page.examples));
+      lines.push(`- ${link(page)}: ${parts.join('; ')}`);
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  takeSnapshot,
+  diffSnapshots,
+  hasChanges,
+  formatChanges,
+  formatChangelog,
+};
@@ -0,0 +1,144 @@
+// Structured API reference: turns the tables on component API pages
+// (.../api/) into rows of the `component_api` table - JS options, events,
+// methods and data-ecl-* attributes.
+
+// Header text -> column, e.g. "Default value" -> default_value
+const COLUMNS = [
+  { column: 'name', pattern: /^(name|option|parameter|param|property|attribute|event|method|argument)s?\b/i },
+  { column: 'type', pattern: /^type/i },
+  { column: 'default_value', pattern: /^default/i },
+  { column: 'description', pattern: /^(description|details|summary)/i },
+];
+
+function cellText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function rowCells(rowHtml) {
+  const cells = [];
+  const cellRegex = /<t([hd])\b[^>]*>([\s\S]*?)<\/t[hd]>/gi;
+  let match;
+  while ((match = cellRegex.exec(rowHtml)) !== null) {
+    cells.push({ header: match[1].toLowerCase() === 'h', text: cellText(match[2]) });
+  }
+  return cells;
+}
+
+// What a row documents, from the heading above its table and its name.
+// jsdoc parameter tables list options as "options.toggleSelector".
+function entryKind(section, name) {
+  if (/^data-/i.test(name) || /attribute/i.test(section)) return 'attribute';
+  if (/event/i.test(section)) return 'event';
+  if (/method/i.test(section)) return 'method';
+  if (/param|argument/i.test(section) && !/^options\./.test(name)) return 'parameter';
+  return 'option';
+}
+
+// Extract every API table of a page. Tables without a recognisable name
+// column (layout tables, colour swatches...) are ignored.
+// Returns [{ kind, name, type, default_value, description, data_attribute, section, position }].
+function extractApiEntries(html) {
+  const entries = [];
+  const blockRegex = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>|<table\b[^>]*>([\s\S]*?)<\/table>/gi;
+  let section = '';
+  let block;
+
+  while ((block = blockRegex.exec(html)) !== null) {
+    if (block[1]) {
+      section = cellText(block[2]);
+      continue;
+    }
+
+    const rows = [];
+    const rowRegex = /<tr\b[^>]*>([\s\S]*?)<\/tr>/gi;
+    let row;
+    while ((row = rowRegex.exec(block[3])) !== null) {
+      rows.push(rowCells(row[1]));
+    }
+
+    const headerIndex = rows.findIndex(cells => cells.length > 0 && cells.every(cell => cell.header));
+    if (headerIndex === -1) continue;
+
+    const columns = rows[headerIndex].map(cell => {
+      const known = COLUMNS.find(c => c.pattern.test(cell.text));
+      return known ? known.column : null;
+    });
+    if (!columns.includes('name')) continue;
+
+    for (const cells of rows.slice(headerIndex + 1)) {
+      const entry = {};
+      cells.forEach((cell, i) => {
+        if (columns[i] && entry[columns[i]] === undefined) {
+          entry[columns[i]] = cell.text || null;
+        }
+      });
+      if (!entry.name) continue;
+
+      // The options object itself, documented next to its properties
+      if (entry.name === 'options' && /^object$/i.test(entry.type || '')) continue;
+
+      const kind = entryKind(section, entry.name);
+      const name = kind === 'option' ? entry.name.replace(/^options\./, '') : entry.name;
+      const attribute = kind === 'attribute'
+        ? name.match(/^data-[\w-]+/i)
+        : `${entry.default_value || ''} ${entry.description || ''}`.match(/data-ecl-[\w-]+/);
+
+      entries.push({
+        kind,
+        name,
+        type: entry.type || null,
+        default_value: entry.default_value || null,
+        description: entry.description || null,
+        data_attribute: attribute ? attribute[0] : null,
+        section: section || null,
+        position: entries.length,
+      });
+    }
+  }
+
+  return entries;
+}
+
+// Rebuild the API entries of one ECL version and flavour from the stored
+// HTML of its API pages. Returns the number of entries.
+async function buildComponentApi({ dbAll, dbRun, eclVersion, flavour }) {
+  const pages = await dbAll(
+    `SELECT id, html FROM pages
+     WHERE ecl_version = ? AND flavour = ? AND url LIKE '%/api/'`,
+    [eclVersion, flavour]
+  );
+
+  await dbRun(
+    'DELETE FROM component_api WHERE page_id IN (SELECT id FROM pages WHERE ecl_version = ? AND flavour = ?)',
+    [eclVersion, flavour]
+  );
+
+  let count = 0;
+  for (const page of pages) {
+    for (const entry of extractApiEntries(page.html || '')) {
+      await dbRun(
+        `INSERT INTO component_api (page_id, kind, name, type, default_value, description, data_attribute, section, position)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [page.id, entry.kind, entry.name, entry.type, entry.default_value, entry.description, entry.data_attribute, entry.section, entry.position]
+      );
+      count++;
+    }
+  }
+
+  return count;
+}
+
+module.exports = {
+  extractApiEntries,
+  buildComponentApi,
+};
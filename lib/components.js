@@ -0,0 +1,100 @@
+// Component registry: groups the usage/code/api pages of each component
+// into one row of the `components` table.
+
+const PAGE_TYPES = ['usage', 'code', 'api'];
+
+function titleCase(slug) {
+  return slug
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Most frequent data-ecl-auto-init value in a component's examples, which is
+// the component's own JS class (nested components appear less often)
+function detectAutoInit(codes) {
+  const counts = new Map();
+  for (const code of codes) {
+    const regex = /data-ecl-auto-init="([^"]+)"/g;
+    let match;
+    while ((match = regex.exec(code)) !== null) {
+      counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+    }
+  }
+  let best = null;
+  for (const [name, count] of counts) {
+    if (!best || count > counts.get(best)) {
+      best = name;
+    }
+  }
+  return best;
+}
+
+// Rebuild the components of one ECL version and flavour from its pages.
+// A component is any page path with usage/code/api tabs, e.g.
+// components/forms/checkbox/{usage,code,api}/ -> "forms/checkbox".
+async function buildComponents({ dbAll, dbRun, eclVersion, flavour }) {
+  const pages = await dbAll(
+    `SELECT id, url, title, category, hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4
+     FROM pages
+     WHERE ecl_version = ? AND flavour = ?
+     ORDER BY url`,
+    [eclVersion, flavour]
+  );
+
+  const components = new Map();
+  for (const page of pages) {
+    const hierarchy = [page.hierarchy_1, page.hierarchy_2, page.hierarchy_3, page.hierarchy_4].filter(h => h);
+    const pageType = hierarchy[hierarchy.length - 1];
+    if (!PAGE_TYPES.includes(pageType) || hierarchy.length < 3) continue;
+
+    const componentPath = hierarchy.slice(0, -1);
+    const key = componentPath.join('/');
+    if (!components.has(key)) {
+      components.set(key, {
+        slug: componentPath.slice(1).join('/'),
+        section: componentPath[0],
+        fallbackName: titleCase(componentPath[componentPath.length - 1]),
+        pages: {},
+      });
+    }
+    components.get(key).pages[pageType] = page;
+  }
+
+  await dbRun('DELETE FROM components WHERE ecl_version = ? AND flavour = ?', [eclVersion, flavour]);
+
+  for (const component of components.values()) {
+    const { usage, code, api } = component.pages;
+    const pageIds = [usage, code, api].filter(p => p).map(p => p.id);
+    const examples = await dbAll(
+      `SELECT id, code FROM examples WHERE page_id IN (${pageIds.map(() => '?').join(', ')}) ORDER BY page_id, position`,
+      pageIds
+    );
+
+    // The title of a component page is its name ("Accordion")
+    const named = usage || code || api;
+    await dbRun(
+      `INSERT INTO components (ecl_version, flavour, slug, name, section, category, usage_url, code_url, api_url, example_ids, auto_init)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        eclVersion,
+        flavour,
+        component.slug,
+        named.title || component.fallbackName,
+        component.section,
+        named.category,
+        usage ? usage.url : null,
+        code ? code.url : null,
+        api ? api.url : null,
+        JSON.stringify(examples.map(e => e.id)),
+        detectAutoInit(examples.map(e => e.code)),
+      ]
+    );
+  }
+
+  return components.size;
+}
+
+module.exports = {
+  buildComponents,
+};
@@ -0,0 +1,94 @@
+// CSS class index: every class defined by the ECL stylesheets, split into
+// its BEM parts (block, element, modifier) or utility group.
+
+const fs = require('fs');
+const path = require('path');
+const { FLAVOURS } = require('./flavours');
+const { extractStylesheetClasses } = require('./validate');
+
+// First segment after ecl-u- -> utility group
+const UTILITY_GROUPS = {
+  type: 'typography',
+  m: 'spacing', ma: 'spacing', mt: 'spacing', mr: 'spacing', mb: 'spacing', ml: 'spacing', mv: 'spacing', mh: 'spacing',
+  p: 'spacing', pa: 'spacing', pt: 'spacing', pr: 'spacing', pb: 'spacing', pl: 'spacing', pv: 'spacing', ph: 'spacing',
+  d: 'display',
+  flex: 'flex', align: 'flex', justify: 'flex', order: 'flex',
+  bg: 'background',
+  border: 'border',
+  shadow: 'shadow',
+  media: 'media',
+  width: 'sizing', height: 'sizing', max: 'sizing', min: 'sizing',
+  z: 'z-index',
+  sr: 'screen-reader',
+  f: 'float',
+};
+
+// ecl-card__title--highlight -> { kind: 'component', block: 'ecl-card',
+// element: 'title', modifier: 'highlight', component: 'card' }
+// ecl-u-mt-m -> { kind: 'utility', utility_group: 'spacing' }
+function describeClass(name) {
+  if (name.startsWith('ecl-u-')) {
+    const segment = name.substring('ecl-u-'.length).split('-')[0];
+    return { kind: 'utility', block: null, element: null, modifier: null, component: null, utility_group: UTILITY_GROUPS[segment] || segment };
+  }
+
+  const [blockAndElement, ...modifiers] = name.split('--');
+  const [block, element] = blockAndElement.split('__');
+  const isGrid = /^ecl-(container|row|col)(-|$)/.test(block);
+  return {
+    kind: isGrid ? 'layout' : 'component',
+    block,
+    element: element || null,
+    modifier: modifiers.length > 0 ? modifiers.join('--') : null,
+    component: isGrid ? 'grid' : block.substring('ecl-'.length),
+    utility_group: null,
+  };
+}
+
+// Stylesheets of a flavour in `cssDir`: ecl-<flavour>*.css plus the shared
+// ecl-reset.css, main stylesheet first so it owns classes defined twice
+function flavourStylesheets(cssDir, flavour) {
+  if (!fs.existsSync(cssDir)) return [];
+  return fs.readdirSync(cssDir)
+    .filter(file => file.startsWith(`ecl-${flavour}`) && file.endsWith('.css'))
+    .sort((a, b) => a.length - b.length)
+    .concat(fs.existsSync(path.join(cssDir, 'ecl-reset.css')) ? ['ecl-reset.css'] : []);
+}
+
+// Rebuild the class index of one ECL version from the stylesheets in
+// `cssDir`, for every flavour that has stylesheets there.
+// Returns { <flavour>: number of classes }.
+async function buildCssIndex({ dbRun, eclVersion, cssDir }) {
+  const counts = {};
+
+  for (const flavour of Object.keys(FLAVOURS)) {
+    const stylesheets = flavourStylesheets(cssDir, flavour);
+    if (!stylesheets.some(file => file !== 'ecl-reset.css')) continue;
+
+    await dbRun('DELETE FROM css_classes WHERE ecl_version = ? AND flavour = ?', [eclVersion, flavour]);
+
+    const seen = new Set();
+    for (const stylesheet of stylesheets) {
+      const classes = extractStylesheetClasses(fs.readFileSync(path.join(cssDir, stylesheet), 'utf8'));
+      for (const name of [...classes].sort()) {
+        if (seen.has(name)) continue;
+        seen.add(name);
+
+        const info = describeClass(name);
+        await dbRun(
+          `INSERT INTO css_classes (ecl_version, flavour, name, kind, block, element, modifier, component, utility_group, stylesheet)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [eclVersion, flavour, name, info.kind, info.block, info.element, info.modifier, info.component, info.utility_group, stylesheet]
+        );
+      }
+    }
+    counts[flavour] = seen.size;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  describeClass,
+  buildCssIndex,
+};
@@ -0,0 +1,190 @@
+const { mapWithConcurrency } = require('./fetch');
+
+const PAGE_TYPES = ['usage', 'code', 'api'];
+
+function titleCase(slug) {
+  return slug
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function decodeText(text) {
+  return text
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Resolve an href against the page it appears on and normalise it to the
+// canonical form used in pages.url: no query/hash, trailing slash.
+// Returns null for links outside `scope` or to files.
+function normalizeLink(href, pageUrl, scope) {
+  let url;
+  try {
+    url = new URL(href, pageUrl);
+  } catch (error) {
+    return null;
+  }
+  url.hash = '';
+  url.search = '';
+  if (/\.[a-z0-9]+$/i.test(url.pathname)) {
+    return null;
+  }
+  if (!url.pathname.endsWith('/')) {
+    url.pathname += '/';
+  }
+  const normalized = url.href;
+  return normalized.startsWith(scope) && normalized !== scope ? normalized : null;
+}
+
+// Links a page contributes to discovery: everything inside <nav> elements,
+// plus its own usage/code/api tabs wherever they are in the markup.
+// Returns [{ url, text }] with canonical URLs.
+function extractNavLinks(html, pageUrl, scope) {
+  const links = [];
+  const linkRegex = /<a\b[^>]*\bhref=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+
+  const collect = (fragment, filter) => {
+    let match;
+    linkRegex.lastIndex = 0;
+    while ((match = linkRegex.exec(fragment)) !== null) {
+      const url = normalizeLink(match[1].replace(/&amp;/g, '&'), pageUrl, scope);
+      if (url && (!filter || filter(url))) {
+        links.push({ url, text: decodeText(match[2]) });
+      }
+    }
+  };
+
+  const navRegex = /<nav\b[^>]*>([\s\S]*?)<\/nav>/gi;
+  let nav;
+  while ((nav = navRegex.exec(html)) !== null) {
+    collect(nav[1]);
+  }
+
+  // Tabs of the same component: <parent>/usage/, <parent>/code/, <parent>/api/
+  const parent = pageUrl.replace(/[^/]+\/$/, '');
+  collect(html, url => url.startsWith(parent) && PAGE_TYPES.includes(url.slice(parent.length, -1)));
+
+  return links;
+}
+
+// <loc> entries of a sitemap.xml
+function extractSitemapUrls(xml, scope) {
+  const urls = [];
+  const locRegex = /<loc>\s*([^<\s]+)\s*<\/loc>/gi;
+  let match;
+  while ((match = locRegex.exec(xml)) !== null) {
+    const url = normalizeLink(match[1], match[1], scope);
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+// Category for a discovered page. Pages in the same group as pages from
+// pages-to-crawl.txt reuse that file's category name; otherwise the name is
+// built from the nav labels of the section and group, e.g.
+// components/forms/checkbox/code/ -> "Forms Components".
+function deriveCategory(url, scope, labels, knownCategories) {
+  const parts = url.substring(scope.length).split('/').filter(p => p);
+  const componentParts = PAGE_TYPES.includes(parts[parts.length - 1]) ? parts.slice(0, -1) : parts;
+  const groupPath = componentParts.slice(0, -1).join('/');
+
+  if (groupPath && knownCategories.has(groupPath)) {
+    return knownCategories.get(groupPath);
+  }
+
+  const label = path => labels.get(`${scope}${path}/`) || titleCase(path.split('/').pop());
+  const section = componentParts[0];
+  if (componentParts.length <= 2) {
+    return label(section);
+  }
+  return `${label(componentParts.slice(0, 2).join('/'))} ${label(section)}`;
+}
+
+// Map "components/forms" -> "Form Components" from the pages-to-crawl.txt
+// entries, keyed by the group each listed component lives in
+function categoriesByGroup(listedPages, scope) {
+  const groups = new Map();
+  for (const page of listedPages) {
+    if (!page.url.startsWith(scope) || !page.category) continue;
+    const parts = page.url.substring(scope.length).split('/').filter(p => p);
+    const componentParts = PAGE_TYPES.includes(parts[parts.length - 1]) ? parts.slice(0, -1) : parts;
+    const groupPath = componentParts.slice(0, -1).join('/');
+    if (groupPath && !groups.has(groupPath)) {
+      groups.set(groupPath, page.category);
+    }
+  }
+  return groups;
+}
+
+// Walk the site navigation breadth-first from `startUrl` (plus any sitemap
+// entries) and return every page found, with a category for each.
+//
+// `fetchHtml(url)` fetches a canonical URL and resolves with its HTML, or
+// rejects; `listedPages` are the entries of pages-to-crawl.txt.
+// Resolves with [{ url, category }].
+async function discoverPages({ startUrl, scope, sitemapUrl, fetchHtml, listedPages = [], concurrency = 4, maxPages = 1000, log = () => {} }) {
+  const labels = new Map();
+  const found = new Set();
+  const seen = new Set([startUrl]);
+  let queue = [startUrl];
+
+  if (sitemapUrl) {
+    try {
+      const sitemapUrls = extractSitemapUrls(await fetchHtml(sitemapUrl), scope);
+      log(`Sitemap lists ${sitemapUrls.length} pages`);
+      for (const url of sitemapUrls) {
+        if (!seen.has(url)) {
+          seen.add(url);
+          queue.push(url);
+        }
+      }
+    } catch (error) {
+      log(`No sitemap (${error.message}), using navigation only`);
+    }
+  }
+
+  while (queue.length > 0 && found.size < maxPages) {
+    const next = [];
+    const batch = queue.slice(0, maxPages - found.size);
+
+    await mapWithConcurrency(batch, concurrency, async (url) => {
+      let html;
+      try {
+        html = await fetchHtml(url);
+      } catch (error) {
+        log(`Skipping ${url}: ${error.message}`);
+        return;
+      }
+      found.add(url);
+
+      for (const link of extractNavLinks(html, url, scope)) {
+        if (link.text && !labels.has(link.url)) {
+          labels.set(link.url, link.text);
+        }
+        if (!seen.has(link.url)) {
+          seen.add(link.url);
+          next.push(link.url);
+        }
+      }
+    });
+
+    queue = next;
+  }
+
+  const knownCategories = categoriesByGroup(listedPages, scope);
+  return [...found]
+    .sort()
+    .map(url => ({ url, category: deriveCategory(url, scope, labels, knownCategories) }));
+}
+
+module.exports = {
+  discoverPages,
+  extractNavLinks,
+  extractSitemapUrls,
+};
@@ -0,0 +1,111 @@
+// Example classification: the component an example shows, its variant
+// (modifier) classes, the JavaScript it needs and the icons and images it
+// references, plus a label for examples without a heading. Stored on the
+// `examples` rows and rebuilt from their code like the component registry.
+
+const path = require('path');
+const { parseElements, isBlockClass } = require('./validate');
+
+// Block class of a component slug: forms/text-field -> ecl-text-field
+function componentBlock(slug) {
+  return `ecl-${slug.split('/').pop()}`;
+}
+
+// Classify the markup of one example. `pageComponent` is the component
+// whose page the example is on (or null), `components` every component of
+// its ECL version and flavour ({ slug, name }).
+// Returns { component, variants, auto_init, icons, images, inferred_label }.
+function classifyExample(code, pageComponent, components) {
+  const elements = parseElements(code);
+  const classes = elements.flatMap(element => element.classes);
+
+  // The page's component when the example uses its block, otherwise the
+  // first component block of the markup (button examples on the checkbox
+  // page are buttons)
+  let component = pageComponent && classes.includes(componentBlock(pageComponent.slug)) ? pageComponent : null;
+  if (!component) {
+    for (const block of classes.filter(isBlockClass)) {
+      component = components.find(c => componentBlock(c.slug) === block);
+      if (component) break;
+    }
+  }
+  component = component || pageComponent || null;
+
+  const block = component ? componentBlock(component.slug) : null;
+  const variants = [...new Set(classes.filter(name =>
+    (block ? name.startsWith(`${block}--`) : name.startsWith('ecl-') && !name.startsWith('ecl-u-') && name.includes('--'))))];
+
+  const autoInit = [...new Set(elements.map(element => element.autoInit).filter(name => name))];
+
+  // "icons.svg#close" for <use xlink:href=".../icons.svg#close">
+  const icons = [...new Set(elements
+    .filter(element => element.tag === 'use' && element.href && element.href.includes('#'))
+    .map(element => {
+      const [file, icon] = element.href.split('#');
+      return file ? `${path.basename(file)}#${icon}` : icon;
+    }))];
+
+  const images = [...new Set(elements
+    .filter(element => element.tag === 'img' || element.tag === 'source')
+    .map(element => element.src)
+    .filter(src => src))];
+
+  const variantNames = variants.map(name => name.substring(name.lastIndexOf('--') + 2));
+  const subject = component ? component.name : (classes.find(isBlockClass) || null);
+  const inferredLabel = subject
+    ? `${subject}${variantNames.length > 0 ? ` (${variantNames.join(', ')})` : ''}`
+    : null;
+
+  return {
+    component: component ? component.slug : null,
+    variants,
+    auto_init: autoInit.length > 0 ? autoInit.join(', ') : null,
+    icons,
+    images,
+    inferred_label: inferredLabel,
+  };
+}
+
+// Rebuild the metadata of every example of one ECL version and flavour.
+// Needs the component registry (see buildComponents). Returns the number
+// of examples classified.
+async function buildExampleMetadata({ dbAll, dbRun, eclVersion, flavour }) {
+  const components = await dbAll(
+    `SELECT slug, name, usage_url, code_url, api_url FROM components
+     WHERE ecl_version = ? AND flavour = ?
+     ORDER BY CASE section WHEN 'components' THEN 0 ELSE 1 END, LENGTH(slug)`,
+    [eclVersion, flavour]
+  );
+  const examples = await dbAll(
+    `SELECT e.id, e.code, p.url FROM examples e
+     JOIN pages p ON e.page_id = p.id
+     WHERE p.ecl_version = ? AND p.flavour = ?`,
+    [eclVersion, flavour]
+  );
+
+  for (const example of examples) {
+    const pageComponent = components.find(c => [c.usage_url, c.code_url, c.api_url].includes(example.url)) || null;
+    const metadata = classifyExample(example.code, pageComponent, components);
+    await dbRun(
+      `UPDATE examples
+       SET component = ?, variants = ?, auto_init = ?, icons = ?, images = ?, inferred_label = ?
+       WHERE id = ?`,
+      [
+        metadata.component,
+        JSON.stringify(metadata.variants),
+        metadata.auto_init,
+        JSON.stringify(metadata.icons),
+        JSON.stringify(metadata.images),
+        metadata.inferred_label,
+        example.id,
+      ]
+    );
+  }
+
+  return examples.length;
+}
+
+module.exports = {
+  classifyExample,
+  buildExampleMetadata,
+};
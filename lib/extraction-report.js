@@ -0,0 +1,177 @@
+// Regression report for the page extraction: checks the current extractor
+// (lib/html.js) against the cases of CORPUS, then runs it and the
+// regular-expression one it replaced (lib/legacy-extract.js) over every
+// stored page and lists where they disagree. The stored pages cover exactly
+// what a crawl would re-extract; CORPUS the cases they may lack.
+
+const sqlite3 = require('sqlite3');
+const { promisify, parseArgs } = require('util');
+const html = require('./html');
+const legacy = require('./legacy-extract');
+
+// Code blocks with the code the current extractor must store for them
+const CORPUS = [
+  {
+    name: 'valueless attributes stay bare',
+    html: '<pre><code>&lt;div class="ecl-accordion" data-ecl-accordion data-ecl-auto-init="Accordion"&gt;&lt;button data-ecl-accordion-toggle disabled=""&gt;Toggle&lt;/button&gt;&lt;/div&gt;</code></pre>',
+    code: '<div class="ecl-accordion" data-ecl-accordion data-ecl-auto-init="Accordion"><button data-ecl-accordion-toggle disabled="">Toggle</button></div>',
+  },
+  {
+    name: 'SVG keeps the case of its tag and attribute names',
+    html: '<pre><code class="language-html">&lt;svg class="ecl-icon" viewBox="0 0 24 24"&gt;&lt;linearGradient id="g"&gt;&lt;/linearGradient&gt;&lt;use xlink:href="icons.svg#close"&gt;&lt;/use&gt;&lt;/svg&gt;</code></pre>',
+    code: '<svg class="ecl-icon" viewBox="0 0 24 24">\n  <linearGradient id="g"></linearGradient>\n  <use xlink:href="icons.svg#close"></use>\n</svg>',
+  },
+  {
+    name: 'JavaScript is kept as written',
+    html: '<pre><code class="language-js">const a = 1;\n\nfunction f() {\n  return a &amp;&amp; a &lt; 2;\n}</code></pre>',
+    code: 'const a = 1;\n\nfunction f() {\n  return a && a < 2;\n}',
+  },
+  {
+    name: 'unlabelled shell commands are kept as written',
+    html: '<pre><code>npm install --save @ecl/preset-ec\nnpm run build</code></pre>',
+    code: 'npm install --save @ecl/preset-ec\nnpm run build',
+  },
+  {
+    name: 'textarea content is kept as written',
+    html: '<pre><code>&lt;div&gt;&lt;textarea class="ecl-text-area"&gt;  two\n  lines&lt;/textarea&gt;&lt;/div&gt;</code></pre>',
+    code: '<div>\n  <textarea class="ecl-text-area">  two\n  lines</textarea>\n</div>',
+  },
+];
+
+// Cases of CORPUS whose extracted code is not the expected one:
+// [{ name, expected, actual }]
+function checkCorpus() {
+  return CORPUS
+    .map(testCase => {
+      const examples = html.extractCodeExamples(testCase.html);
+      return { name: testCase.name, expected: testCase.code, actual: examples.length === 1 ? examples[0].code : null };
+    })
+    .filter(result => result.actual !== result.expected);
+}
+
+const squash = text => text.replace(/\s+/g, '');
+
+// Where two strings first differ, with some context
+function firstDifference(a, b, context = 40) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  const start = Math.max(0, i - context);
+  const excerpt = text => JSON.stringify(text.substring(start, i + context));
+  return `at ${i}: ${excerpt(a)} -> ${excerpt(b)}`;
+}
+
+// Compare both extractors on one page. Returns the list of differences
+// ({ kind, detail }), kinds being count, label, whitespace, code and text.
+function comparePage(pageHtml) {
+  const differences = [];
+  const before = legacy.extractCodeExamples(pageHtml);
+  const after = html.extractCodeExamples(pageHtml);
+
+  if (before.length !== after.length) {
+    differences.push({ kind: 'count', detail: `${before.length} examples -> ${after.length}` });
+  }
+
+  for (let i = 0; i < Math.min(before.length, after.length); i++) {
+    if (before[i].label !== after[i].label) {
+      differences.push({ kind: 'label', detail: `#${i}: ${JSON.stringify(before[i].label)} -> ${JSON.stringify(after[i].label)}` });
+    }
+    if (before[i].code === after[i].code) continue;
+    if (squash(before[i].code) === squash(after[i].code)) {
+      differences.push({ kind: 'whitespace', detail: `#${i}` });
+    } else {
+      differences.push({ kind: 'code', detail: `#${i} ${firstDifference(squash(before[i].code), squash(after[i].code))}` });
+    }
+  }
+
+  const textBefore = legacy.stripHtml(pageHtml);
+  const textAfter = html.stripHtml(pageHtml);
+  if (textBefore !== textAfter) {
+    differences.push({ kind: 'text', detail: firstDifference(textBefore, textAfter) });
+  }
+
+  return differences;
+}
+
+const KINDS = {
+  count: 'example count differs',
+  label: 'label differs',
+  whitespace: 'code differs in whitespace only',
+  code: 'code differs in content',
+  text: 'indexed text differs',
+};
+
+// `ecl-mcp extraction-report [--ecl-version <v>] [--limit <n>] [--verbose]`
+// The CORPUS cases that fail (exit status 1), a summary of the differences
+// by kind, then the pages with differences in content (all differences
+// with --verbose), at most --limit pages.
+async function reportExtraction(dbPath, argv = []) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: {
+      'ecl-version': { type: 'string' },
+      limit: { type: 'string', default: '20' },
+      verbose: { type: 'boolean', default: false },
+    },
+  });
+
+  const failures = checkCorpus();
+  console.log(`🧪 Corpus: ${CORPUS.length - failures.length}/${CORPUS.length} cases pass`);
+  for (const failure of failures) {
+    console.log(`  ❌ ${failure.name}\n     expected ${JSON.stringify(failure.expected)}\n     got      ${JSON.stringify(failure.actual)}`);
+  }
+  if (failures.length > 0) {
+    process.exitCode = 1;
+  }
+  console.log('');
+
+  const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY);
+  const dbAll = promisify(db.all.bind(db));
+  const dbClose = promisify(db.close.bind(db));
+
+  try {
+    const params = [];
+    let where = '';
+    if (options['ecl-version']) {
+      where = 'WHERE ecl_version = ?';
+      params.push(options['ecl-version']);
+    }
+    const pages = await dbAll(`SELECT url, ecl_version, flavour, html FROM pages ${where} ORDER BY ecl_version, flavour, url`, params);
+
+    const totals = Object.fromEntries(Object.keys(KINDS).map(kind => [kind, 0]));
+    const reported = [];
+    let examples = 0;
+    for (const page of pages) {
+      examples += html.extractCodeExamples(page.html).length;
+      const differences = comparePage(page.html);
+      for (const difference of differences) totals[difference.kind]++;
+
+      const shown = options.verbose ? differences : differences.filter(d => d.kind !== 'whitespace');
+      if (shown.length > 0) reported.push({ page, differences: shown });
+    }
+
+    console.log(`🔬 ${pages.length} stored pages, ${examples} examples extracted\n`);
+    for (const [kind, description] of Object.entries(KINDS)) {
+      console.log(`${String(totals[kind]).padStart(6)}  ${description}`);
+    }
+
+    const limit = parseInt(options.limit, 10);
+    if (reported.length > 0) {
+      console.log(`\n${reported.length} pages with differences${reported.length > limit ? `, first ${limit}` : ''}:`);
+    }
+    for (const { page, differences } of reported.slice(0, limit)) {
+      console.log(`\n[v${page.ecl_version} ${page.flavour.toUpperCase()}] ${page.url}`);
+      for (const difference of differences) {
+        console.log(`  ${difference.kind}: ${difference.detail}`);
+      }
+    }
+  } finally {
+    await dbClose();
+  }
+}
+
+module.exports = {
+  CORPUS,
+  checkCorpus,
+  comparePage,
+  reportExtraction,
+};
@@ -0,0 +1,117 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_OPTIONS = {
+  timeout: 30000,     // per request, in ms
+  retries: 3,         // extra attempts after the first one
+  retryDelay: 1000,   // first backoff delay, doubled on every retry
+  maxRedirects: 5,
+};
+
+// Error for a response that is not a 2xx, or a request that never got one.
+// `status` is the HTTP status code, or a short reason such as "timeout".
+class FetchError extends Error {
+  constructor(message, url, status) {
+    super(message);
+    this.name = 'FetchError';
+    this.url = url;
+    this.status = status;
+  }
+
+  // 5xx, 429, timeouts and network errors are worth another try; 4xx are not
+  get retryable() {
+    if (typeof this.status === 'number') {
+      return this.status >= 500 || this.status === 429;
+    }
+    return true;
+  }
+}
+
+// Single GET request. Follows redirects but does not retry.
+function request(url, options, redirectsLeft) {
+  const client = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers: options.headers }, (res) => {
+      const { statusCode } = res;
+
+      if (statusCode >= 300 && statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirectsLeft <= 0) {
+          reject(new FetchError(`Too many redirects`, url, statusCode));
+          return;
+        }
+        const next = new URL(res.headers.location, url).href;
+        resolve(request(next, options, redirectsLeft - 1));
+        return;
+      }
+
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => data += chunk);
+      res.on('error', error => reject(new FetchError(error.message, url, error.code || 'network')));
+      res.on('end', () => {
+        // 304 is a success for conditional requests
+        if ((statusCode < 200 || statusCode >= 300) && statusCode !== 304) {
+          reject(new FetchError(`HTTP ${statusCode}`, url, statusCode));
+          return;
+        }
+        resolve({ url, statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    req.setTimeout(options.timeout, () => {
+      req.destroy(new FetchError(`Timed out after ${options.timeout}ms`, url, 'timeout'));
+    });
+
+    req.on('error', (error) => {
+      reject(error instanceof FetchError ? error : new FetchError(error.message, url, error.code || 'network'));
+    });
+  });
+}
+
+// GET a URL with redirects, timeout and retries with exponential backoff.
+// Resolves with { url, statusCode, headers, body }; `url` is the final URL.
+async function fetchUrl(url, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await request(url, opts, opts.maxRedirects);
+    } catch (error) {
+      if (!error.retryable || attempt >= opts.retries) {
+        throw error;
+      }
+      const delay = opts.retryDelay * 2 ** attempt;
+      attempt++;
+      if (opts.onRetry) {
+        opts.onRetry(error, attempt, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  FetchError,
+  fetchUrl,
+  mapWithConcurrency,
+};
@@ -0,0 +1,54 @@
+// ECL ships two flavours: EC for European Commission sites and EU for
+// europa.eu sites. They share components but differ in stylesheet, script,
+// logos and documentation URLs (/component-library/ec/ vs /eu/).
+const FLAVOURS = {
+  ec: {
+    name: 'European Commission',
+    theme: 'EC theme',
+    logo: 'logo-ec.svg',
+    logoNegative: 'logo-ec-negative.svg',
+  },
+  eu: {
+    name: 'European Union',
+    theme: 'EU theme',
+    logo: 'logo-eu.svg',
+    logoNegative: 'logo-eu-negative.svg',
+  },
+};
+
+const DEFAULT_FLAVOUR = 'ec';
+
+// Validate a flavour argument ("ec" or "eu", any case)
+function normalizeFlavour(flavour) {
+  if (flavour === undefined || flavour === null || flavour === '') {
+    return DEFAULT_FLAVOUR;
+  }
+  const key = String(flavour).trim().toLowerCase();
+  if (!FLAVOURS[key]) {
+    throw new Error(`Unknown ECL flavour "${flavour}". Use one of: ${Object.keys(FLAVOURS).join(', ')}`);
+  }
+  return key;
+}
+
+// Turn the EC starter template into the given flavour: stylesheet and script
+// names, logos and the organisation named in alt texts
+function applyFlavour(template, flavour) {
+  if (flavour === DEFAULT_FLAVOUR) {
+    return template;
+  }
+  const from = FLAVOURS[DEFAULT_FLAVOUR];
+  const to = FLAVOURS[flavour];
+  return template
+    .replace(new RegExp(`ecl-${DEFAULT_FLAVOUR}(\\.|-)`, 'g'), `ecl-${flavour}$1`)
+    .split(from.logoNegative).join(to.logoNegative)
+    .split(from.logo).join(to.logo)
+    .split(from.name).join(to.name)
+    .split(from.theme).join(to.theme);
+}
+
+module.exports = {
+  FLAVOURS,
+  DEFAULT_FLAVOUR,
+  normalizeFlavour,
+  applyFlavour,
+};
@@ -0,0 +1,487 @@
+// HTML extraction for the crawler, on a real parser (htmlparser2) instead of
+// regular expressions: page text for the search index, and the code
+// examples of a page, both verbatim and formatted.
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+
+// Page parts left out of the indexed text
+const IGNORED_ELEMENTS = ['script', 'style', 'nav', 'header', 'footer'];
+
+// Elements kept on their parent's line by the formatter
+const INLINE_ELEMENTS = [
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'img', 'input', 'kbd', 'mark',
+  'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+  'svg', 'use', 'path', 'g', 'label', 'legend', 'button',
+];
+
+// Elements whose content is printed exactly as written
+const VERBATIM_ELEMENTS = ['pre', 'textarea', 'script', 'style'];
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+function parse(html, decodeEntities) {
+  return parseDocument(html, { decodeEntities, recognizeSelfClosing: true, withStartIndices: true });
+}
+
+// Plain text of a page without its scripts, styles, navigation, header and
+// footer, whitespace collapsed
+function stripHtml(html) {
+  const parts = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        parts.push(node.data);
+      } else if (DomUtils.isTag(node) && !IGNORED_ELEMENTS.includes(node.name)) {
+        // Element boundaries separate words, as in the rendered page
+        parts.push(' ');
+        walk(node.children);
+        parts.push(' ');
+      }
+    }
+  };
+  walk(parse(html, true).children);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+// Languages of the code blocks formatted as markup; code in any other
+// language is kept as written
+const MARKUP_LANGUAGES = ['html', 'markup', 'xml', 'svg', 'xhtml'];
+
+// Language of a code block from its class (language-js, lang-css) on the
+// <code> or the <pre>, null without one
+function codeLanguage(code) {
+  for (const element of [code, code.parent]) {
+    const match = element && element.attribs && /(?:^|\s)lang(?:uage)?-(\S+)/.exec(element.attribs.class || '');
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}
+
+// Whether the text of a code block is markup: by its language when the
+// block names one, otherwise when it starts and ends with a tag
+function isMarkup(source, language) {
+  if (language) return MARKUP_LANGUAGES.includes(language);
+  const trimmed = source.trim();
+  return trimmed.startsWith('<') && trimmed.endsWith('>');
+}
+
+// The element name as written (linearGradient, not lineargradient): the
+// parser lowercases tag names
+function writtenName(source, element) {
+  const name = source.substr(element.startIndex + 1, element.name.length);
+  return name.toLowerCase() === element.name ? name : element.name;
+}
+
+// Names of the attributes written without a value (<div data-ecl-accordion>)
+// in the start tag of `element`, read from the markup it was parsed from:
+// the parser gives them the same empty value as data-ecl-accordion=""
+function valuelessAttributes(source, element) {
+  let end = element.startIndex;
+  let quote = null;
+  while (end < source.length) {
+    const char = source[end];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      break;
+    }
+    end++;
+  }
+
+  const names = new Set();
+  const attributeRegex = /([^\s"'>/=]+)(\s*=\s*("[^"]*"|'[^']*'|[^\s>]*))?/g;
+  const tag = source.substring(element.startIndex + 1 + element.name.length, end);
+  let match;
+  while ((match = attributeRegex.exec(tag)) !== null) {
+    if (!match[2]) names.add(match[1]);
+  }
+  return names;
+}
+
+function openTag(element, source) {
+  const valueless = valuelessAttributes(source, element);
+  const attributes = Object.entries(element.attribs).map(([name, value]) => {
+    if (value === '' && valueless.has(name)) return ` ${name}`;
+    return value.includes('"') && !value.includes("'") ? ` ${name}='${value}'` : ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+  });
+  return `<${writtenName(source, element)}${attributes.join('')}>`;
+}
+
+function closeTag(element, source) {
+  return VOID_ELEMENTS.includes(element.name) ? '' : `</${writtenName(source, element)}>`;
+}
+
+function isInline(node) {
+  if (node.type === 'text') return true;
+  if (!DomUtils.isTag(node)) return false;
+  return INLINE_ELEMENTS.includes(node.name) && node.children.every(isInline);
+}
+
+// One-line markup of inline content, whitespace collapsed
+function inlineHtml(nodes, source) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (node.type === 'comment') return `<!--${node.data}-->`;
+    if (!DomUtils.isTag(node)) return '';
+    return openTag(node, source) + inlineHtml(node.children, source) + closeTag(node, source);
+  }).join('');
+}
+
+function formatNodes(nodes, depth, lines, source) {
+  const indent = '  '.repeat(depth);
+  let run = [];
+  const flush = () => {
+    const text = inlineHtml(run, source).trim();
+    if (text) lines.push(indent + text);
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (isInline(node)) {
+      run.push(node);
+      continue;
+    }
+    flush();
+
+    if (node.type === 'comment') {
+      lines.push(`${indent}<!--${node.data}-->`);
+    } else if (node.type === 'directive') {
+      lines.push(`${indent}<${node.data}>`);
+    } else if (DomUtils.isTag(node)) {
+      if (VERBATIM_ELEMENTS.includes(node.name)) {
+        lines.push(indent + openTag(node, source) + DomUtils.getInnerHTML(node, { decodeEntities: false }) + closeTag(node, source));
+      } else if (node.children.every(isInline)) {
+        // Block with inline content only: <p>Text <a>link</a></p>
+        lines.push(indent + openTag(node, source) + inlineHtml(node.children, source).trim() + closeTag(node, source));
+      } else {
+        lines.push(indent + openTag(node, source));
+        formatNodes(node.children, depth + 1, lines, source);
+        lines.push(indent + closeTag(node, source));
+      }
+    }
+  }
+  flush();
+}
+
+// Indented markup: one block element per line, inline content kept on its
+// parent's line, <pre>, <textarea>, <script> and <style> content untouched,
+// tag and attribute names, attributes (with or without a value) and
+// entities as written
+function formatHtml(source) {
+  const lines = [];
+  const document = parseDocument(source, {
+    decodeEntities: false,
+    recognizeSelfClosing: true,
+    lowerCaseAttributeNames: false,
+    withStartIndices: true,
+  });
+  formatNodes(document.children, 0, lines, source);
+  return lines.join('\n');
+}
+
+// The <code> element of a <pre> holding nothing else, i.e. a code example
+function exampleCode(pre) {
+  const elements = pre.children.filter(child => DomUtils.isTag(child));
+  const onlyCode = elements.length === 1 && elements[0].name === 'code' &&
+    pre.children.every(child => child === elements[0] || (child.type === 'text' && !child.data.trim()));
+  return onlyCode ? elements[0] : null;
+}
+
+// Code examples of a documentation page: the text of every <pre><code>
+// block. Returns [{ source, code, label, position }] where source is the
+// example exactly as published, code its formatted version (markup only,
+// other code is kept as written) and label the text of the last h2-h6
+// heading before it.
+function extractCodeExamples(html) {
+  const examples = [];
+  let label = null;
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (!DomUtils.isTag(node)) continue;
+
+      if (/^h[2-6]$/.test(node.name)) {
+        label = DomUtils.textContent(node).replace(/\s+/g, ' ').trim() || null;
+        continue;
+      }
+
+      if (node.name === 'pre') {
+        const code = exampleCode(node);
+        if (code) {
+          // Highlighting spans drop out with the text; entities are decoded
+          const source = DomUtils.textContent(code);
+          examples.push({
+            source,
+            code: isMarkup(source, codeLanguage(code)) ? formatHtml(source) : source,
+            label,
+            position: examples.length,
+          });
+        }
+        continue;
+      }
+
+      walk(node.children);
+    }
+  };
+
+  walk(parse(html, true).children);
+  return examples;
+}
+
+// Elements rendered within a line of markdown
+const MARKDOWN_INLINE_ELEMENTS = [
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'button', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'img', 'kbd', 'label',
+  'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr',
+];
+
+// Page chrome and elements without readable content
+const MARKDOWN_IGNORED_ELEMENTS = [...IGNORED_ELEMENTS, 'head', 'noscript', 'template', 'svg', 'iframe', 'form'];
+
+// The part of a page worth reading: its <main> when it has one
+function mainContent(document) {
+  return DomUtils.findOne(node => node.name === 'main', document.children, true) || document;
+}
+
+function resolveHref(href, baseUrl) {
+  if (!href || /^javascript:/i.test(href)) return null;
+  try {
+    return baseUrl ? new URL(href, baseUrl).href : href;
+  } catch (error) {
+    return href;
+  }
+}
+
+function markdownInline(nodes, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (!DomUtils.isTag(node) || MARKDOWN_IGNORED_ELEMENTS.includes(node.name)) return '';
+
+    const text = () => markdownInline(node.children, context);
+    switch (node.name) {
+      case 'br':
+        return '\n';
+      case 'strong':
+      case 'b': {
+        const inner = text().trim();
+        return inner ? `**${inner}**` : '';
+      }
+      case 'em':
+      case 'i': {
+        const inner = text().trim();
+        return inner ? `*${inner}*` : '';
+      }
+      case 'code': {
+        const inner = DomUtils.textContent(node).replace(/\s+/g, ' ');
+        return inner.includes('`') ? `\`\` ${inner} \`\`` : `\`${inner}\``;
+      }
+      case 'a': {
+        const inner = text().trim();
+        const href = resolveHref(node.attribs.href, context.baseUrl);
+        return href && inner ? `[${inner}](${href})` : inner;
+      }
+      case 'img': {
+        const src = resolveHref(node.attribs.src, context.baseUrl);
+        return src ? `![${node.attribs.alt || ''}](${src})` : '';
+      }
+      default:
+        return text();
+    }
+  }).join('');
+}
+
+// Inline markdown of an element, on one line
+function markdownLine(node, context) {
+  return markdownInline(node.children, context).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function markdownList(list, context) {
+  const items = list.children.filter(child => DomUtils.isTag(child) && child.name === 'li');
+  let number = parseInt(list.attribs.start, 10) || 1;
+  return items.map(item => {
+    const marker = list.name === 'ol' ? `${number++}. ` : '- ';
+    const body = markdownBlocks(item.children, context).map(blockMarkdown).join('\n');
+    const indent = ' '.repeat(marker.length);
+    return marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+  }).join('\n');
+}
+
+function markdownTable(table, context) {
+  const rows = DomUtils.getElementsByTagName('tr', table, true)
+    .map(row => row.children
+      .filter(cell => DomUtils.isTag(cell) && (cell.name === 'th' || cell.name === 'td'))
+      .map(cell => markdownLine(cell, context).replace(/\|/g, '\\|')));
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const line = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+  return [
+    line(rows[0]),
+    line(Array(columns).fill('---')),
+    ...rows.slice(1).map(line),
+  ].join('\n');
+}
+
+function markdownCodeBlock(pre) {
+  const code = exampleCode(pre);
+  let text;
+  let language = '';
+  if (code) {
+    // The example as get_example shows it
+    const source = DomUtils.textContent(code);
+    const markup = isMarkup(source, codeLanguage(code));
+    language = codeLanguage(code) || (markup ? 'html' : '');
+    text = markup ? formatHtml(source) : source.replace(/^\n/, '').replace(/\s+$/, '');
+  } else {
+    text = DomUtils.textContent(pre).replace(/^\n/, '').replace(/\s+$/, '');
+  }
+  const fence = text.includes('```') ? '~~~~' : '```';
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+// Anchor of a heading: its id or the id of an element in it, otherwise a
+// slug of its text. Anchors are unique on the page: an id already taken
+// (by an earlier heading, or "top") is suffixed like a repeated slug.
+function headingAnchor(heading, context) {
+  const anchored = heading.attribs.id ? heading : DomUtils.findOne(node => Boolean(node.attribs.id), heading.children, true);
+  if (anchored && !context.taken.has(anchored.attribs.id)) {
+    context.taken.add(anchored.attribs.id);
+    return anchored.attribs.id;
+  }
+
+  const base = anchored ? anchored.attribs.id : DomUtils.textContent(heading).toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'section';
+  let anchor = base;
+  for (let i = 2; context.anchors.has(anchor); i++) anchor = `${base}-${i}`;
+  context.anchors.add(anchor);
+  context.taken.add(anchor);
+  return anchor;
+}
+
+// Headings are blocks of their own: { heading: { level, text, anchor }, markdown }
+function blockMarkdown(block) {
+  return typeof block === 'string' ? block : block.markdown;
+}
+
+// Markdown blocks of a list of nodes: paragraphs from runs of inline
+// content, and one block per block element
+function markdownBlocks(nodes, context) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    // Line breaks (<br>) are the only newlines left in inline markdown
+    const paragraph = markdownInline(run, context).replace(/ {2,}/g, ' ').trim().replace(/ *\n */g, '  \n');
+    if (paragraph) blocks.push(paragraph);
+    run = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text' || (DomUtils.isTag(node) && MARKDOWN_INLINE_ELEMENTS.includes(node.name))) {
+      run.push(node);
+      continue;
+    }
+    flush();
+    if (!DomUtils.isTag(node) || MARKDOWN_IGNORED_ELEMENTS.includes(node.name)) continue;
+
+    let block;
+    if (/^h[1-6]$/.test(node.name)) {
+      const text = markdownLine(node, context);
+      if (text) {
+        const level = Number(node.name[1]);
+        block = {
+          heading: { level, text: DomUtils.textContent(node).replace(/\s+/g, ' ').trim(), anchor: headingAnchor(node, context) },
+          markdown: `${'#'.repeat(level)} ${text}`,
+        };
+      }
+    } else if (node.name === 'ul' || node.name === 'ol') {
+      block = markdownList(node, context);
+    } else if (node.name === 'table') {
+      block = markdownTable(node, context);
+    } else if (node.name === 'pre') {
+      block = markdownCodeBlock(node);
+    } else if (node.name === 'blockquote') {
+      block = markdownBlocks(node.children, context).map(blockMarkdown).join('\n\n')
+        .split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    } else if (node.name === 'hr') {
+      block = '---';
+    } else if (node.name === 'dt') {
+      const term = markdownLine(node, context);
+      block = term ? `**${term}**` : '';
+    } else if (node.name === 'dd') {
+      block = markdownBlocks(node.children, context).map(blockMarkdown).join('\n\n')
+        .split('\n').map(line => (line ? `: ${line}` : line)).join('\n');
+    } else {
+      blocks.push(...markdownBlocks(node.children, context));
+      continue;
+    }
+    if (block) blocks.push(block);
+  }
+  flush();
+  return blocks;
+}
+
+function pageBlocks(html, baseUrl) {
+  const document = parse(html, true);
+  // "top" is the anchor of the content before the first heading. Generated
+  // anchors avoid it and the ids of the page, ids are used once.
+  const ids = DomUtils.findAll(node => Boolean(node.attribs.id), document.children).map(node => node.attribs.id);
+  const context = { baseUrl, anchors: new Set(['top', ...ids]), taken: new Set(['top']) };
+  return markdownBlocks(mainContent(document).children, context);
+}
+
+// Markdown of a documentation page (its <main> when there is one):
+// headings, paragraphs, lists, tables, links, and the code examples as
+// fenced blocks where they appear. Relative links are resolved against
+// `baseUrl`.
+function toMarkdown(html, baseUrl = null) {
+  return pageBlocks(html, baseUrl).map(blockMarkdown).join('\n\n');
+}
+
+// Headings of a documentation page: [{ level, text, anchor }], anchor being
+// the id of the heading (or of an element in it) or a slug of its text
+function extractOutline(html) {
+  return pageBlocks(html, null).filter(block => block.heading).map(block => block.heading);
+}
+
+// Indexed text of some markdown: link targets and code fences left out
+function markdownText(markdown) {
+  return markdown
+    .replace(/!?\[([^\]]*)\]\([^)\s]*\)/g, '$1')
+    .replace(/^(```|~~~~)\S*$/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// A documentation page split at every heading. Returns
+// [{ anchor, heading, level, position, markdown, content }]: the section
+// of a heading runs to the next heading of any level, content before the
+// first heading is the section "top" (level 0, no heading). markdown is as
+// toMarkdown renders it, content the plain text to index.
+function extractSections(html, baseUrl = null) {
+  const sections = [];
+  let section = null;
+  for (const block of pageBlocks(html, baseUrl)) {
+    if (block.heading || !section) {
+      section = block.heading
+        ? { anchor: block.heading.anchor, heading: block.heading.text, level: block.heading.level, blocks: [] }
+        : { anchor: 'top', heading: null, level: 0, blocks: [] };
+      sections.push(section);
+    }
+    section.blocks.push(blockMarkdown(block));
+  }
+
+  return sections.map((s, position) => {
+    const markdown = s.blocks.join('\n\n');
+    return { anchor: s.anchor, heading: s.heading, level: s.level, position, markdown, content: markdownText(markdown) };
+  });
+}
+
+module.exports = {
+  stripHtml,
+  formatHtml,
+  extractCodeExamples,
+  toMarkdown,
+  extractOutline,
+  extractSections,
+};
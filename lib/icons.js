@@ -0,0 +1,86 @@
+// Icon catalogue: the symbols of the ECL SVG sprites and the markup to use
+// them.
+
+const fs = require('fs');
+const path = require('path');
+
+// Sprite file -> icon set name
+const ICON_SETS = {
+  'icons.svg': 'general',
+  'icons-social-media.svg': 'social-media',
+  'icons-flag.svg': 'flag',
+};
+
+// ecl-icon modifiers defined by the ECL stylesheet
+const ICON_SIZES = ['2xs', 'xs', 's', 'm', 'l', 'xl', '2xl', 'fluid'];
+const ICON_COLORS = ['primary', 'inverted'];
+const ICON_TRANSFORMS = ['rotate-90', 'rotate-180', 'rotate-270', 'flip-horizontal', 'flip-vertical'];
+
+// Symbols of an SVG sprite: [{ name, viewBox }]
+function parseSprite(svg) {
+  const symbols = [];
+  const symbolRegex = /<symbol\b([^>]*)>/gi;
+  let match;
+  while ((match = symbolRegex.exec(svg)) !== null) {
+    const id = match[1].match(/\bid=["']([^"']+)["']/i);
+    const viewBox = match[1].match(/\bviewBox=["']([^"']+)["']/i);
+    if (id) {
+      symbols.push({ name: id[1], viewBox: viewBox ? viewBox[1] : null });
+    }
+  }
+  return symbols;
+}
+
+// Rebuild the icon index of one ECL version from the sprites in `iconsDir`.
+// Returns { <set>: number of icons }.
+async function buildIconIndex({ dbRun, eclVersion, iconsDir }) {
+  const counts = {};
+  await dbRun('DELETE FROM icons WHERE ecl_version = ?', [eclVersion]);
+
+  for (const [sprite, set] of Object.entries(ICON_SETS)) {
+    const file = path.join(iconsDir, sprite);
+    if (!fs.existsSync(file)) continue;
+
+    const symbols = parseSprite(fs.readFileSync(file, 'utf8'));
+    for (const symbol of symbols) {
+      await dbRun(
+        'INSERT OR IGNORE INTO icons (ecl_version, icon_set, name, sprite, view_box) VALUES (?, ?, ?, ?, ?)',
+        [eclVersion, set, symbol.name, sprite, symbol.viewBox]
+      );
+    }
+    counts[set] = symbols.length;
+  }
+
+  return counts;
+}
+
+// ECL icon markup for a sprite symbol. Throws on a size, color or transform
+// the stylesheet does not define.
+function iconMarkup({ sprite, name, size = 'm', color, transform, assetPath = 'assets/icons' }) {
+  const check = (value, allowed, what) => {
+    if (value && !allowed.includes(value)) {
+      throw new Error(`Unknown icon ${what} "${value}". Use one of: ${allowed.join(', ')}`);
+    }
+  };
+  check(size, ICON_SIZES, 'size');
+  check(color, ICON_COLORS, 'color');
+  check(transform, ICON_TRANSFORMS, 'transform');
+
+  const classes = ['ecl-icon', `ecl-icon--${size}`];
+  if (color) classes.push(`ecl-icon--${color}`);
+  if (transform) classes.push(`ecl-icon--${transform}`);
+
+  return `<svg class="${classes.join(' ')}" focusable="false" aria-hidden="true">\n` +
+    `  <use xlink:href="${assetPath.replace(/\/+$/, '')}/${sprite}#${name}"></use>\n` +
+    `</svg>`;
+}
+
+module.exports = {
+  ICON_SETS,
+  ICON_SIZES,
+  ICON_COLORS,
+  ICON_TRANSFORMS,
+  parseSprite,
+  buildIconIndex,
+  iconMarkup,
+};
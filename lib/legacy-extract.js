@@ -0,0 +1,105 @@
+// The regular-expression extraction the crawler used before lib/html.js,
+// kept unchanged as the baseline of `ecl-mcp extraction-report`. Not used
+// for crawling.
+
+// Strip HTML tags and decode entities to get plain text
+function stripHtml(html) {
+  return html
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '') // Remove scripts
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')   // Remove styles
+    .replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '')       // Remove navigation
+    .replace(/<header[^>]*>[\s\S]*?<\/header>/gi, '') // Remove headers
+    .replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '') // Remove footers
+    .replace(/<[^>]+>/g, ' ')                          // Remove all tags
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')                              // Normalize whitespace
+    .trim();
+}
+
+// Extract code examples from HTML
+function extractCodeExamples(html) {
+  const examples = [];
+  const preRegex = /<pre[^>]*>\s*<code[^>]*>([\s\S]*?)<\/code>\s*<\/pre>/gi;
+  let match;
+  let index = 0;
+
+  while ((match = preRegex.exec(html)) !== null) {
+    let code = match[1]
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'");
+
+    // Strip syntax highlighting spans (e.g., <span class="token tag">)
+    code = code.replace(/<span[^>]*>/g, '').replace(/<\/span>/g, '');
+
+    // Normalize whitespace: collapse all line breaks and multiple spaces into single spaces
+    code = code.replace(/\s+/g, ' ');
+
+    // List of inline elements that shouldn't cause line breaks
+    const inlineTags = ['span', 'a', 'strong', 'em', 'b', 'i', 'code', 'small', 'svg', 'use', 'path'];
+    
+    // List of inline container elements that should keep their content on one line
+    const inlineContainers = ['label', 'legend', 'button'];
+
+    // Add line breaks only after block-level closing tags (but NOT after inline containers)
+    const blockPattern = new RegExp(`</((?!(?:${inlineTags.join('|')}|${inlineContainers.join('|')})[>\\s])[^>]+)>`, 'g');
+    code = code.replace(blockPattern, '</$1>\n');
+
+    // Add line breaks before block-level opening tags (but not if preceded by opening tag or inside inline containers)
+    const blockOpenPattern = new RegExp(`([^>])\\s*<((?!(?:${inlineTags.join('|')}|${inlineContainers.join('|')}|/)[>\\s])[a-z][^>]*)>`, 'gi');
+    code = code.replace(blockOpenPattern, '$1\n<$2>');
+
+    // Clean up multiple newlines
+    code = code.replace(/\n{2,}/g, '\n');
+
+    // Basic indentation
+    const lines = code.split('\n');
+    let indent = 0;
+    const formatted = lines.map(line => {
+      line = line.trim();
+      if (!line) return '';
+
+      // Check if this is a closing tag
+      if (line.match(/^<\/[^>]+>/)) {
+        indent = Math.max(0, indent - 1);
+      }
+
+      const indented = '  '.repeat(indent) + line;
+
+      // Check if this line opens a tag that should increase indent
+      // Must start with <tag, not be self-closing, and not have closing tag on same line
+      if (line.match(/^<[a-z]/i) && !line.match(/\/>$/) && !line.match(/<\/[^>]+>$/)) {
+        indent++;
+      }
+
+      return indented;
+    }).filter(line => line);
+
+    code = formatted.join('\n');
+
+    // Try to find a heading before this code block
+    const beforeCode = html.substring(0, match.index);
+    const headingMatch = beforeCode.match(/<h[2-6][^>]*>([^<]+)<\/h[2-6]>(?:(?!<h[2-6]).)*$/is);
+    const label = headingMatch ? headingMatch[1].trim() : null;
+
+    examples.push({
+      code: code.trim(),
+      label,
+      position: index++
+    });
+  }
+
+  return examples;
+}
+
+module.exports = {
+  stripHtml,
+  extractCodeExamples,
+};
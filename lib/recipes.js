@@ -0,0 +1,193 @@
+// Recipe import: turns the markdown files of the recipes folder into rows
+// of the `recipes` table. A recipe file starts with a front-matter block:
+//
+//   ---
+//   title: Call to action banner
+//   difficulty: beginner
+//   components_used: [button, link]
+//   keywords: cta, banner
+//   ---
+//
+// followed by the markdown shown by get_recipe. Its ```html blocks are the
+// recipe markup, validated against the ECL classes before import.
+
+const fs = require('fs');
+const path = require('path');
+const { validateMarkup } = require('./validate');
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// `key: value` lines, with lists written as [a, b], a, b or "- item" lines
+function parseFrontMatter(block) {
+  const data = {};
+  let listKey = null;
+  for (const line of block.split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      continue;
+    }
+
+    const entry = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!entry) {
+      throw new Error(`Invalid front-matter line: "${line.trim()}"`);
+    }
+    const key = entry[1].toLowerCase().replace(/-/g, '_');
+    const value = entry[2].trim();
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = /^\[.*\]$/.test(value)
+        ? value.slice(1, -1).split(',').map(unquote).filter(v => v)
+        : unquote(value);
+      listKey = null;
+    }
+  }
+  return data;
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+}
+
+// List front-matter values are stored comma separated, as list_recipes
+// has always shown them
+function joinList(value) {
+  if (value === undefined || value === null) return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(v => v);
+  return items.length > 0 ? items.join(', ') : null;
+}
+
+// Parse a recipe file. Returns { title, description, difficulty, keywords,
+// components_used, markdown, html, codeBlocks } where codeBlocks are the
+// ```html blocks with the file line of their first line of code.
+function parseRecipe(text) {
+  const source = text.replace(/\r\n/g, '\n');
+  const frontMatter = source.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (!frontMatter) {
+    throw new Error('Missing front-matter block (--- ... ---) at the top of the file');
+  }
+  const data = parseFrontMatter(frontMatter[1]);
+  if (!data.title || Array.isArray(data.title)) {
+    throw new Error('Front-matter needs a "title"');
+  }
+  const difficulty = data.difficulty ? String(data.difficulty).toLowerCase() : null;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Unknown difficulty "${data.difficulty}". Use one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const body = source.substring(frontMatter[0].length);
+  const leading = (body.match(/^\s*\n/) || [''])[0];
+  const markdown = body.substring(leading.length).replace(/\s+$/, '') + '\n';
+  // File lines before the first markdown line
+  const offset = source.substring(0, frontMatter[0].length + leading.length).split('\n').length - 1;
+
+  const codeBlocks = [];
+  const blockRegex = /^```html[^\n]*\n([\s\S]*?)^```/gm;
+  let match;
+  while ((match = blockRegex.exec(markdown)) !== null) {
+    codeBlocks.push({
+      line: offset + markdown.substring(0, match.index).split('\n').length + 1,
+      code: match[1],
+    });
+  }
+
+  // First paragraph that is not a heading or code
+  const paragraph = markdown
+    .replace(/^```[\s\S]*?^```/gm, '')
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .find(p => p && !p.startsWith('#'));
+
+  return {
+    title: String(data.title),
+    description: data.description ? String(data.description) : (paragraph || null),
+    difficulty,
+    keywords: joinList(data.keywords),
+    components_used: joinList(data.components_used),
+    markdown,
+    html: codeBlocks.length > 0 ? codeBlocks.map(block => block.code.replace(/\s+$/, '')).join('\n\n') : null,
+    codeBlocks,
+  };
+}
+
+// Import every *.md file of `recipesDir` (README.md excepted). Recipes are
+// keyed by file name (their slug), so re-importing updates them in place and
+// keeps their IDs; recipes whose file was removed are deleted. Recipes with
+// markup errors against the validation `context` (see
+// loadValidationContext) are not imported.
+// Returns { imported, updated, removed, failed, findings } where findings
+// are [{ file, line, severity, rule, message }].
+async function importRecipes({ dbAll, dbRun, recipesDir, context }) {
+  const result = { imported: 0, updated: 0, removed: 0, failed: 0, findings: [] };
+  const files = fs.existsSync(recipesDir)
+    ? fs.readdirSync(recipesDir).filter(f => f.endsWith('.md') && f.toLowerCase() !== 'readme.md').sort()
+    : [];
+  const slugs = new Set();
+
+  for (const file of files) {
+    const slug = path.basename(file, '.md');
+    slugs.add(slug);
+
+    let recipe;
+    try {
+      recipe = parseRecipe(fs.readFileSync(path.join(recipesDir, file), 'utf8'));
+    } catch (error) {
+      result.findings.push({ file, line: 1, severity: 'error', rule: 'invalid-recipe', message: error.message });
+      result.failed++;
+      continue;
+    }
+
+    const findings = [];
+    for (const block of recipe.codeBlocks) {
+      for (const finding of validateMarkup(block.code, context)) {
+        findings.push({ file, ...finding, line: block.line + finding.line - 1 });
+      }
+    }
+    result.findings.push(...findings);
+    if (findings.some(finding => finding.severity === 'error')) {
+      result.failed++;
+      continue;
+    }
+
+    const values = [recipe.title, recipe.description, recipe.markdown, recipe.html, recipe.keywords, recipe.difficulty, recipe.components_used];
+    const existing = await dbAll('SELECT id FROM recipes WHERE slug = ?', [slug]);
+    if (existing.length > 0) {
+      await dbRun(
+        `UPDATE recipes
+         SET title = ?, description = ?, markdown = ?, html = ?, keywords = ?, difficulty = ?, components_used = ?
+         WHERE slug = ?`,
+        [...values, slug]
+      );
+      result.updated++;
+    } else {
+      await dbRun(
+        `INSERT INTO recipes (title, description, markdown, html, keywords, difficulty, components_used, slug)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [...values, slug]
+      );
+      result.imported++;
+    }
+  }
+
+  // Recipes without a slug were not imported from files: leave them alone
+  for (const row of await dbAll('SELECT id, slug FROM recipes WHERE slug IS NOT NULL')) {
+    if (!slugs.has(row.slug)) {
+      await dbRun('DELETE FROM recipes WHERE id = ?', [row.id]);
+      result.removed++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  parseRecipe,
+  importRecipes,
+};
@@ -0,0 +1,428 @@
+const fs = require('fs');
+const sqlite3 = require('sqlite3');
+const { promisify } = require('util');
+
+// Versioned migrations. Each entry moves the database from `version - 1` to
+// `version`; the current version is stored in PRAGMA user_version.
+// Never edit a migration that has shipped - add a new one instead.
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema: pages, examples, recipes and their FTS5 indexes',
+    up: `
+      CREATE TABLE IF NOT EXISTS pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL UNIQUE,
+        title TEXT,
+        html TEXT,
+        content TEXT,
+        category TEXT,
+        hierarchy_1 TEXT,
+        hierarchy_2 TEXT,
+        hierarchy_3 TEXT,
+        hierarchy_4 TEXT
+      );
+
+      -- Standalone index: the crawler writes lowercased title/content itself
+      CREATE VIRTUAL TABLE IF NOT EXISTS pages_fts USING fts5(title, content);
+
+      CREATE TRIGGER IF NOT EXISTS pages_ad AFTER DELETE ON pages BEGIN
+        DELETE FROM pages_fts WHERE rowid = old.id;
+      END;
+
+      CREATE TABLE IF NOT EXISTS examples (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        code TEXT NOT NULL,
+        label TEXT,
+        position INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_examples_page_id ON examples(page_id);
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS examples_fts USING fts5(
+        label, code,
+        content='examples', content_rowid='id'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS examples_ai AFTER INSERT ON examples BEGIN
+        INSERT INTO examples_fts(rowid, label, code) VALUES (new.id, new.label, new.code);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS examples_ad AFTER DELETE ON examples BEGIN
+        INSERT INTO examples_fts(examples_fts, rowid, label, code) VALUES ('delete', old.id, old.label, old.code);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS examples_au AFTER UPDATE ON examples BEGIN
+        INSERT INTO examples_fts(examples_fts, rowid, label, code) VALUES ('delete', old.id, old.label, old.code);
+        INSERT INTO examples_fts(rowid, label, code) VALUES (new.id, new.label, new.code);
+      END;
+
+      CREATE TABLE IF NOT EXISTS recipes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        markdown TEXT,
+        html TEXT,
+        keywords TEXT,
+        difficulty TEXT,
+        components_used TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS recipes_fts USING fts5(
+        title, description, keywords, components_used, markdown,
+        content='recipes', content_rowid='id'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS recipes_ai AFTER INSERT ON recipes BEGIN
+        INSERT INTO recipes_fts(rowid, title, description, keywords, components_used, markdown)
+        VALUES (new.id, new.title, new.description, new.keywords, new.components_used, new.markdown);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS recipes_ad AFTER DELETE ON recipes BEGIN
+        INSERT INTO recipes_fts(recipes_fts, rowid, title, description, keywords, components_used, markdown)
+        VALUES ('delete', old.id, old.title, old.description, old.keywords, old.components_used, old.markdown);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS recipes_au AFTER UPDATE ON recipes BEGIN
+        INSERT INTO recipes_fts(recipes_fts, rowid, title, description, keywords, components_used, markdown)
+        VALUES ('delete', old.id, old.title, old.description, old.keywords, old.components_used, old.markdown);
+        INSERT INTO recipes_fts(rowid, title, description, keywords, components_used, markdown)
+        VALUES (new.id, new.title, new.description, new.keywords, new.components_used, new.markdown);
+      END;
+
+      -- A database made before migrations already has rows the new
+      -- external-content indexes know nothing about
+      INSERT INTO examples_fts(examples_fts) VALUES ('rebuild');
+      INSERT INTO recipes_fts(recipes_fts) VALUES ('rebuild');
+    `,
+  },
+  {
+    version: 2,
+    description: 'Fetch metadata on pages for incremental recrawls',
+    up: `
+      ALTER TABLE pages ADD COLUMN etag TEXT;
+      ALTER TABLE pages ADD COLUMN last_modified TEXT;
+      ALTER TABLE pages ADD COLUMN content_hash TEXT;
+      ALTER TABLE pages ADD COLUMN fetched_at TEXT;
+      ALTER TABLE pages ADD COLUMN changed_at TEXT;
+    `,
+  },
+  {
+    version: 3,
+    description: 'Store pages per ECL version',
+    // SQLite cannot drop the UNIQUE(url) constraint in place, so the table is
+    // rebuilt. Existing rows were crawled from ECL 4.11.1.
+    up: `
+      CREATE TABLE pages_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        ecl_version TEXT NOT NULL,
+        title TEXT,
+        html TEXT,
+        content TEXT,
+        category TEXT,
+        hierarchy_1 TEXT,
+        hierarchy_2 TEXT,
+        hierarchy_3 TEXT,
+        hierarchy_4 TEXT,
+        etag TEXT,
+        last_modified TEXT,
+        content_hash TEXT,
+        fetched_at TEXT,
+        changed_at TEXT,
+        UNIQUE (url, ecl_version)
+      );
+
+      INSERT INTO pages_new (
+        id, url, ecl_version, title, html, content, category,
+        hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4,
+        etag, last_modified, content_hash, fetched_at, changed_at
+      )
+      SELECT
+        id, url, '4.11.1', title, html, content, category,
+        hierarchy_1, hierarchy_2, hierarchy_3, hierarchy_4,
+        etag, last_modified, content_hash, fetched_at, changed_at
+      FROM pages;
+
+      DROP TABLE pages;
+      ALTER TABLE pages_new RENAME TO pages;
+
+      CREATE INDEX idx_pages_ecl_version ON pages(ecl_version);
+
+      CREATE TRIGGER pages_ad AFTER DELETE ON pages BEGIN
+        DELETE FROM pages_fts WHERE rowid = old.id;
+      END;
+    `,
+  },
+  {
+    version: 4,
+    description: 'Store the ECL flavour (ec/eu) of each page',
+    up: `
+      ALTER TABLE pages ADD COLUMN flavour TEXT NOT NULL DEFAULT 'ec';
+      UPDATE pages SET flavour = 'eu' WHERE url LIKE 'https://ec.europa.eu/component-library/eu/%';
+      CREATE INDEX idx_pages_version_flavour ON pages(ecl_version, flavour);
+    `,
+  },
+  {
+    version: 5,
+    description: 'Component registry',
+    up: `
+      CREATE TABLE components (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ecl_version TEXT NOT NULL,
+        flavour TEXT NOT NULL,
+        slug TEXT NOT NULL,
+        name TEXT NOT NULL,
+        section TEXT NOT NULL,
+        category TEXT,
+        usage_url TEXT,
+        code_url TEXT,
+        api_url TEXT,
+        example_ids TEXT NOT NULL DEFAULT '[]',
+        auto_init TEXT,
+        UNIQUE (ecl_version, flavour, section, slug)
+      );
+    `,
+  },
+  {
+    version: 6,
+    description: 'Structured API entries (options, events, data attributes) of component API pages',
+    up: `
+      CREATE TABLE component_api (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT,
+        default_value TEXT,
+        description TEXT,
+        data_attribute TEXT,
+        section TEXT,
+        position INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE INDEX idx_component_api_page_id ON component_api(page_id);
+    `,
+  },
+  {
+    version: 7,
+    description: 'CSS class index built from the ECL stylesheets',
+    up: `
+      CREATE TABLE css_classes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ecl_version TEXT NOT NULL,
+        flavour TEXT NOT NULL,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        block TEXT,
+        element TEXT,
+        modifier TEXT,
+        component TEXT,
+        utility_group TEXT,
+        stylesheet TEXT NOT NULL,
+        UNIQUE (ecl_version, flavour, name)
+      );
+
+      CREATE INDEX idx_css_classes_block ON css_classes(ecl_version, flavour, block);
+    `,
+  },
+  {
+    version: 8,
+    description: 'Icon index built from the ECL SVG sprites',
+    up: `
+      CREATE TABLE icons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ecl_version TEXT NOT NULL,
+        icon_set TEXT NOT NULL,
+        name TEXT NOT NULL,
+        sprite TEXT NOT NULL,
+        view_box TEXT,
+        UNIQUE (ecl_version, sprite, name)
+      );
+    `,
+  },
+  {
+    version: 9,
+    description: 'Recipe slugs for importing recipes from markdown files',
+    up: `
+      ALTER TABLE recipes ADD COLUMN slug TEXT;
+      CREATE UNIQUE INDEX idx_recipes_slug ON recipes(slug);
+    `,
+  },
+  {
+    version: 10,
+    description: 'Similarity index of examples (TF-IDF over tags, classes and auto-init names)',
+    up: `
+      CREATE TABLE example_vectors (
+        example_id INTEGER PRIMARY KEY REFERENCES examples(id) ON DELETE CASCADE,
+        ecl_version TEXT NOT NULL,
+        flavour TEXT NOT NULL,
+        vector TEXT NOT NULL
+      );
+      CREATE INDEX idx_example_vectors_version_flavour ON example_vectors(ecl_version, flavour);
+
+      CREATE TABLE example_idf (
+        ecl_version TEXT NOT NULL,
+        flavour TEXT NOT NULL,
+        feature TEXT NOT NULL,
+        idf REAL NOT NULL,
+        PRIMARY KEY (ecl_version, flavour, feature)
+      );
+    `,
+  },
+  {
+    version: 11,
+    description: 'Example classification: component, variants, JavaScript, icons, images and inferred label',
+    up: `
+      ALTER TABLE examples ADD COLUMN component TEXT;
+      ALTER TABLE examples ADD COLUMN variants TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE examples ADD COLUMN auto_init TEXT;
+      ALTER TABLE examples ADD COLUMN icons TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE examples ADD COLUMN images TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE examples ADD COLUMN inferred_label TEXT;
+    `,
+  },
+  {
+    version: 12,
+    description: 'Verbatim example source next to the formatted code',
+    up: `
+      ALTER TABLE examples ADD COLUMN source TEXT;
+    `,
+  },
+  {
+    version: 13,
+    description: 'Heading-delimited sections of pages and their FTS5 index',
+    up: `
+      CREATE TABLE page_sections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+        anchor TEXT NOT NULL,
+        heading TEXT,
+        level INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        markdown TEXT NOT NULL,
+        content TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_page_sections_page_id ON page_sections(page_id);
+
+      CREATE VIRTUAL TABLE page_sections_fts USING fts5(
+        heading, content,
+        content='page_sections', content_rowid='id'
+      );
+
+      CREATE TRIGGER page_sections_ai AFTER INSERT ON page_sections BEGIN
+        INSERT INTO page_sections_fts(rowid, heading, content) VALUES (new.id, new.heading, new.content);
+      END;
+
+      CREATE TRIGGER page_sections_ad AFTER DELETE ON page_sections BEGIN
+        INSERT INTO page_sections_fts(page_sections_fts, rowid, heading, content) VALUES ('delete', old.id, old.heading, old.content);
+      END;
+
+      CREATE TRIGGER page_sections_au AFTER UPDATE ON page_sections BEGIN
+        INSERT INTO page_sections_fts(page_sections_fts, rowid, heading, content) VALUES ('delete', old.id, old.heading, old.content);
+        INSERT INTO page_sections_fts(rowid, heading, content) VALUES (new.id, new.heading, new.content);
+      END;
+    `,
+  },
+  {
+    version: 14,
+    description: 'One section per anchor of a page',
+    up: `
+      DELETE FROM page_sections
+      WHERE id NOT IN (SELECT MIN(id) FROM page_sections GROUP BY page_id, anchor);
+
+      DROP INDEX idx_page_sections_page_id;
+      CREATE UNIQUE INDEX idx_page_sections_page_id_anchor ON page_sections(page_id, anchor);
+    `,
+  },
+];
+
+const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+async function getSchemaVersion(db) {
+  const row = await promisify(db.get.bind(db))('PRAGMA user_version');
+  return row.user_version;
+}
+
+// Apply every migration newer than the database's current version.
+// Each migration runs in its own transaction together with the version bump,
+// so a failure leaves the database at the last good version.
+async function migrate(db, log = () => {}) {
+  const dbExec = promisify(db.exec.bind(db));
+  const current = await getSchemaVersion(db);
+
+  if (current > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${current} is newer than this ecl-mcp supports (${SCHEMA_VERSION}). Update ecl-mcp.`
+    );
+  }
+
+  const pending = migrations.filter(m => m.version > current);
+  for (const migration of pending) {
+    log(`Applying migration ${migration.version}: ${migration.description}`);
+    try {
+      await dbExec(`BEGIN;\n${migration.up}\nPRAGMA user_version = ${migration.version};\nCOMMIT;`);
+    } catch (error) {
+      await dbExec('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version} failed: ${error.message}`);
+    }
+  }
+
+  return { from: current, to: SCHEMA_VERSION, applied: pending.length };
+}
+
+// Open an existing database for the server, refusing to start if it is
+// missing or was built with a different schema version.
+function openCheckedDatabase(dbPath) {
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(dbPath)) {
+      reject(new Error(
+        `ECL database not found at ${dbPath}.\n` +
+        'Run "npx ecl-mcp build-db" to create it, then "node crawl.js" to populate it.'
+      ));
+      return;
+    }
+
+    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, async (err) => {
+      if (err) {
+        reject(new Error(`Cannot open ECL database at ${dbPath}: ${err.message}`));
+        return;
+      }
+
+      try {
+        const version = await getSchemaVersion(db);
+        if (version < SCHEMA_VERSION) {
+          db.close();
+          reject(new Error(
+            `ECL database at ${dbPath} is at schema version ${version}, but this server needs version ${SCHEMA_VERSION}.\n` +
+            'Run "npx ecl-mcp build-db" to migrate it.'
+          ));
+          return;
+        }
+        if (version > SCHEMA_VERSION) {
+          db.close();
+          reject(new Error(
+            `ECL database at ${dbPath} is at schema version ${version}, which is newer than this server supports (${SCHEMA_VERSION}).\n` +
+            'Update ecl-mcp.'
+          ));
+          return;
+        }
+        resolve(db);
+      } catch (error) {
+        db.close();
+        reject(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  migrations,
+  getSchemaVersion,
+  migrate,
+  openCheckedDatabase,
+};
@@ -0,0 +1,89 @@
+// Zero-result search log: every search that finds nothing, even after alias
+// expansion, is appended to search-misses.log (one JSON object per line) so
+// the alias dictionary in lib/aliases.js can grow from real queries.
+// The log lives outside the database, which crawls replace wholesale.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { expandAliases } = require('./aliases');
+
+let warned = false;
+
+// $ECL_MCP_SEARCH_MISSES_LOG, otherwise search-misses.log in the user's
+// state directory ($XDG_STATE_HOME or ~/.local/state, under ecl-mcp) rather
+// than in the installed package
+function searchMissesLogPath(env = process.env) {
+  if (env.ECL_MCP_SEARCH_MISSES_LOG) {
+    return path.resolve(env.ECL_MCP_SEARCH_MISSES_LOG);
+  }
+  const stateDir = env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return path.join(stateDir, 'ecl-mcp', 'search-misses.log');
+}
+
+// Append a miss; a log that cannot be written is reported once on stderr
+// and never fails the search
+function logSearchMiss(logPath, { tool, query, version, flavour }) {
+  const entry = JSON.stringify({ time: new Date().toISOString(), tool, query, version, flavour });
+  const warn = (error) => {
+    if (error && !warned) {
+      warned = true;
+      console.error(`Cannot write the search miss log ${logPath}: ${error.message}`);
+    }
+  };
+  fs.mkdir(path.dirname(logPath), { recursive: true }, (error) => {
+    if (error) {
+      warn(error);
+      return;
+    }
+    fs.appendFile(logPath, `${entry}\n`, warn);
+  });
+}
+
+// `ecl-mcp search-misses [--limit <n>]`
+// Print the most frequent zero-result queries, flagging those an alias
+// already covers (added after they were logged).
+function reportSearchMisses(logPath, argv = []) {
+  const { values: options } = parseArgs({
+    args: argv,
+    options: {
+      limit: { type: 'string', default: '50' },
+    },
+  });
+
+  if (!fs.existsSync(logPath)) {
+    console.log(`No zero-result searches logged yet (${logPath})`);
+    return;
+  }
+
+  const misses = new Map();
+  for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    const query = String(entry.query || '').trim().toLowerCase();
+    const miss = misses.get(query) || { query, count: 0, tools: new Set() };
+    miss.count++;
+    miss.tools.add(entry.tool);
+    misses.set(query, miss);
+  }
+
+  const sorted = [...misses.values()].sort((a, b) => b.count - a.count || a.query.localeCompare(b.query));
+  console.log(`🔍 ${sorted.length} queries without results (${logPath})\n`);
+  for (const miss of sorted.slice(0, parseInt(options.limit, 10))) {
+    const expanded = expandAliases(miss.query);
+    const covered = expanded ? `  (alias: "${expanded.query}")` : '';
+    console.log(`${String(miss.count).padStart(5)}  ${miss.query}  [${[...miss.tools].join(', ')}]${covered}`);
+  }
+}
+
+module.exports = {
+  searchMissesLogPath,
+  logSearchMiss,
+  reportSearchMisses,
+};
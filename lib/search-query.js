@@ -0,0 +1,124 @@
+// Free-text search queries -> FTS5 MATCH expressions, shared by every
+// search tool. Every term is quoted, so characters FTS5 treats as syntax
+// (-, ", :, parentheses...) never cause a syntax error: data-ecl-auto-init
+// becomes the phrase "data ecl auto init" as the tokenizer splits it.
+//
+// Supported syntax:
+//   "exact phrase"   quoted phrase
+//   butt*            prefix match
+//   card OR button   either term (also card | button)
+// Other terms must all match.
+
+// Split a query into AND-ed items, each a list of OR-ed clauses
+// { text, phrase, prefix }
+function parseSearchQuery(query) {
+  const items = [];
+  let or = false;
+  const tokenRegex = /"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = tokenRegex.exec(String(query || ''))) !== null) {
+    if (match[2] === 'OR' || match[2] === '|') {
+      or = items.length > 0;
+      continue;
+    }
+
+    const phrase = match[1] !== undefined;
+    let text = phrase ? match[1] : match[2];
+    const prefix = !phrase && /\*$/.test(text);
+    text = text.replace(/\*+$/, '').trim().toLowerCase();
+    // Nothing the tokenizer would index (a lone quote, punctuation...)
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      continue;
+    }
+
+    const clause = { text, phrase, prefix };
+    if (or) {
+      items[items.length - 1].push(clause);
+    } else {
+      items.push([clause]);
+    }
+    or = false;
+  }
+  return items;
+}
+
+function quote(text, prefix) {
+  return `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`;
+}
+
+function render(items) {
+  return items
+    .map(clauses => {
+      const alternatives = clauses.map(clause => quote(clause.text, clause.prefix));
+      return alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0];
+    })
+    .join(' AND ');
+}
+
+// MATCH expressions to try in order until one returns results. A query
+// using phrases, prefixes or OR is run as written; plain words go through
+// the fallback chain:
+// 1. the exact phrase
+// 2. the words as one compound word (datepicker, textfield, etc)
+// 3. all the words
+// 4. all the words, the last one as a prefix (partially typed)
+function buildFtsQueries(query) {
+  const items = parseSearchQuery(query);
+  if (items.length === 0) {
+    return [];
+  }
+
+  const clauses = items.flat();
+  const isPlain = items.every(clause => clause.length === 1) && clauses.every(c => !c.phrase && !c.prefix);
+  if (!isPlain) {
+    return [render(items)];
+  }
+
+  const words = clauses.map(clause => clause.text);
+  const queries = words.length > 1
+    ? [quote(words.join(' ')), quote(words.join('')), render(items)]
+    : [render(items)];
+  queries.push(render(items.map((clause, i) => (i === items.length - 1 ? [{ ...clause[0], prefix: true }] : clause))));
+  return [...new Set(queries)];
+}
+
+// MATCH expression for any of the terms of a query, to rank the parts of
+// a document that each match only some of them
+function buildAnyTermQuery(query) {
+  const clauses = parseSearchQuery(query).flat();
+  return clauses.length > 0 ? render([clauses]) : null;
+}
+
+// Run `search(ftsQuery)` (a promise of rows) for each expression of
+// buildFtsQueries until one returns rows. Returns { results, ftsQuery },
+// ftsQuery being null when nothing matched.
+async function searchWithFallback(query, search) {
+  for (const ftsQuery of buildFtsQueries(query)) {
+    try {
+      const results = await search(ftsQuery);
+      if (results.length > 0) {
+        return { results, ftsQuery };
+      }
+    } catch (error) {
+      // Rejected by FTS5 despite the quoting: try the next expression
+      continue;
+    }
+  }
+  return { results: [], ftsQuery: null };
+}
+
+// Hint for a search without results
+function noResultsSuggestion(query) {
+  const words = String(query || '').trim().split(/\s+/).filter(w => w);
+  return words.length > 1
+    ? `Try searching with just one word (e.g., "${words[0].replace(/^"|\*$/g, '')}" instead of "${words.join(' ')}")`
+    : null;
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildFtsQueries,
+  buildAnyTermQuery,
+  searchWithFallback,
+  noResultsSuggestion,
+};
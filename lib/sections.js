@@ -0,0 +1,38 @@
+// Page sections: every page split at its headings (see extractSections in
+// lib/html.js), each section stored and full-text indexed on its own so
+// searches can point at the part of a long page that matches and agents can
+// read just that part with get_documentation_section.
+
+const { extractSections } = require('./html');
+
+// Rebuild the sections of every page of one ECL version and flavour.
+// Returns the number of sections stored.
+async function buildSections({ dbAll, dbRun, eclVersion, flavour }) {
+  const pages = await dbAll(
+    'SELECT id, url, html FROM pages WHERE ecl_version = ? AND flavour = ?',
+    [eclVersion, flavour]
+  );
+
+  await dbRun(
+    'DELETE FROM page_sections WHERE page_id IN (SELECT id FROM pages WHERE ecl_version = ? AND flavour = ?)',
+    [eclVersion, flavour]
+  );
+
+  let count = 0;
+  for (const page of pages) {
+    for (const section of extractSections(page.html || '', page.url)) {
+      await dbRun(
+        `INSERT INTO page_sections (page_id, anchor, heading, level, position, markdown, content)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [page.id, section.anchor, section.heading, section.level, section.position, section.markdown, section.content]
+      );
+      count++;
+    }
+  }
+
+  return count;
+}
+
+module.exports = {
+  buildSections,
+};
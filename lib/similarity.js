@@ -0,0 +1,109 @@
+// Example similarity: every example is described by the features of its
+// markup (tags, classes, BEM blocks, auto-init names), weighted by TF-IDF
+// over the examples of its ECL version and flavour. Two examples are
+// similar when the cosine of their vectors is high. Everything is computed
+// locally at build time, no embedding model involved.
+
+const { parseElements } = require('./validate');
+
+// Feature -> number of occurrences in a markup string
+function extractFeatures(html) {
+  const features = new Map();
+  const add = feature => features.set(feature, (features.get(feature) || 0) + 1);
+
+  for (const element of parseElements(html)) {
+    add(`tag:${element.tag}`);
+    for (const name of element.classes) {
+      add(`class:${name}`);
+      // Variants of the same component share their block
+      if (name.startsWith('ecl-') && !name.startsWith('ecl-u-')) {
+        add(`block:${name.split('__')[0].split('--')[0]}`);
+      }
+    }
+    if (element.autoInit) {
+      add(`init:${element.autoInit}`);
+    }
+  }
+  return features;
+}
+
+// Unit TF-IDF vector { feature: weight } of a feature count map. Features
+// missing from `idf` (never seen in the corpus) get `unknownIdf`.
+function vectorize(features, idf, unknownIdf) {
+  const vector = {};
+  let norm = 0;
+  for (const [feature, count] of features) {
+    const weight = (1 + Math.log(count)) * (idf.has(feature) ? idf.get(feature) : unknownIdf);
+    vector[feature] = weight;
+    norm += weight * weight;
+  }
+  norm = Math.sqrt(norm);
+  for (const feature of Object.keys(vector)) {
+    vector[feature] = norm > 0 ? vector[feature] / norm : 0;
+  }
+  return vector;
+}
+
+// Cosine similarity of two unit vectors
+function cosine(a, b) {
+  let dot = 0;
+  for (const [feature, weight] of Object.entries(a)) {
+    if (b[feature] !== undefined) {
+      dot += weight * b[feature];
+    }
+  }
+  return dot;
+}
+
+// Smoothed inverse document frequency for a corpus of `total` examples
+function inverseFrequency(total, count) {
+  return Math.log((total + 1) / (count + 1)) + 1;
+}
+
+// Rebuild the similarity index of one ECL version and flavour from its
+// examples. Returns the number of indexed examples.
+async function buildSimilarityIndex({ dbAll, dbRun, eclVersion, flavour }) {
+  const examples = await dbAll(
+    `SELECT e.id, e.code FROM examples e
+     JOIN pages p ON e.page_id = p.id
+     WHERE p.ecl_version = ? AND p.flavour = ?`,
+    [eclVersion, flavour]
+  );
+
+  await dbRun('DELETE FROM example_vectors WHERE ecl_version = ? AND flavour = ?', [eclVersion, flavour]);
+  await dbRun('DELETE FROM example_idf WHERE ecl_version = ? AND flavour = ?', [eclVersion, flavour]);
+
+  const featureSets = examples.map(example => extractFeatures(example.code));
+  const documentFrequency = new Map();
+  for (const features of featureSets) {
+    for (const feature of features.keys()) {
+      documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [feature, count] of documentFrequency) {
+    idf.set(feature, inverseFrequency(examples.length, count));
+    await dbRun(
+      'INSERT INTO example_idf (ecl_version, flavour, feature, idf) VALUES (?, ?, ?, ?)',
+      [eclVersion, flavour, feature, idf.get(feature)]
+    );
+  }
+
+  for (let i = 0; i < examples.length; i++) {
+    await dbRun(
+      'INSERT INTO example_vectors (example_id, ecl_version, flavour, vector) VALUES (?, ?, ?, ?)',
+      [examples[i].id, eclVersion, flavour, JSON.stringify(vectorize(featureSets[i], idf, 0))]
+    );
+  }
+
+  return examples.length;
+}
+
+module.exports = {
+  extractFeatures,
+  vectorize,
+  cosine,
+  inverseFrequency,
+  buildSimilarityIndex,
+};
@@ -0,0 +1,171 @@
+// Starter template generation: turns starter_template.html (already in the
+// requested flavour, see applyFlavour) into a page for the given options.
+// Optional parts of the template are wrapped in
+// <!-- @section name --> ... <!-- @end name --> markers.
+
+// Official EU languages for the language selector: code -> native name
+const EU_LANGUAGES = {
+  bg: 'български', es: 'español', cs: 'čeština', da: 'dansk', de: 'Deutsch', et: 'eesti', el: 'ελληνικά',
+  en: 'English', fr: 'français', ga: 'Gaeilge', hr: 'hrvatski', it: 'italiano', lv: 'latviešu', lt: 'lietuvių',
+  hu: 'magyar', mt: 'Malti', nl: 'Nederlands', pl: 'polski', pt: 'português', ro: 'română', sk: 'slovenčina',
+  sl: 'slovenščina', fi: 'suomi', sv: 'svenska',
+};
+
+const LOGO_SIZES = ['s', 'm', 'l'];
+const FOOTER_VARIANTS = ['full', 'simple', 'none'];
+const ASSET_SOURCES = ['local', 'cdn'];
+
+const PLACEHOLDER_TITLE = 'ECL Template - Replace with Your Page Title';
+const PLACEHOLDER_HEADING = 'ECL Template Main Content';
+
+const CDN_BASE_URL = 'https://cdn1.fpfis.tech.ec.europa.eu/ecl';
+
+// Local asset (relative to the assets directory) -> CDN path, as fetched by
+// download-ecl-assets.sh. Sprites are left out: browsers refuse <use>
+// references to another origin, so icons always come from the local copy.
+function cdnAssets(flavour, lang) {
+  const logos = flavour === 'eu'
+    ? {
+      'icons/logo-eu.svg': `images/logo/standard-version/positive/logo-eu--${lang}.svg`,
+      'icons/logo-eu-negative.svg': `images/logo/standard-version/negative/logo-eu--${lang}.svg`,
+    }
+    : {
+      'icons/logo-ec.svg': `images/logo/positive/logo-ec--${lang}.svg`,
+      'icons/logo-ec-negative.svg': `images/logo/negative/logo-ec--${lang}.svg`,
+    };
+  return {
+    'css/ecl-reset.css': 'styles/optional/ecl-reset.css',
+    [`css/ecl-${flavour}.css`]: `styles/ecl-${flavour}.css`,
+    [`css/ecl-${flavour}-utilities.css`]: `styles/optional/ecl-${flavour}-utilities.css`,
+    [`css/ecl-${flavour}-print.css`]: `styles/optional/ecl-${flavour}-print.css`,
+    [`js/ecl-${flavour}.js`]: `scripts/ecl-${flavour}.js`,
+    ...logos,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Drop the marked sections listed in `omit` and the markers of the others
+function applySections(html, omit) {
+  return html
+    .replace(/^([ \t]*)<!-- @section ([\w-]+) -->\n([\s\S]*?)^[ \t]*<!-- @end \2 -->\n/gm, (match, indent, name, body) =>
+      (omit.includes(name) ? '' : applySections(body, omit)));
+}
+
+// Re-indent a block of markup: strip its common indentation, then prefix
+// every line with `indent`
+function indentBlock(code, indent) {
+  const lines = code.replace(/\s+$/, '').split('\n');
+  const widths = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+  const common = widths.length > 0 ? Math.min(...widths) : 0;
+  return lines.map(line => (line.trim() ? indent + line.substring(common) : '')).join('\n') + '\n';
+}
+
+// One language selector entry per official EU language, `lang` active
+function languageList(lang, indent) {
+  return Object.entries(EU_LANGUAGES).map(([code, label]) => {
+    const active = code === lang ? ' ecl-site-header__language-link--active' : '';
+    return [
+      `<li class="ecl-site-header__language-item">`,
+      `    <a href="#" class="ecl-link ecl-link--standalone ecl-link--no-visited ecl-site-header__language-link${active}" hreflang="${code}">`,
+      `        <span class="ecl-site-header__language-link-code">${code}</span>`,
+      `        <span class="ecl-site-header__language-link-label" lang="${code}">${label}</span>`,
+      `    </a>`,
+      `</li>`,
+    ].map(line => indent + line).join('\n');
+  }).join('\n') + '\n';
+}
+
+// Validate and complete the options of get_starter_template
+function normalizeTemplateOptions(options = {}) {
+  const check = (value, allowed, what) => {
+    if (!allowed.includes(value)) {
+      throw new Error(`Unknown ${what} "${value}". Use one of: ${allowed.join(', ')}`);
+    }
+    return value;
+  };
+  const flag = (value, fallback) => (value === undefined || value === null ? fallback : value !== false && value !== 'false');
+
+  // Region subtags are dropped: "fr-BE" is "fr"
+  const lang = String(options.lang || 'en').trim().toLowerCase().split(/[-_]/)[0];
+  return {
+    title: options.title || 'ECL Page',
+    lang: check(lang, Object.keys(EU_LANGUAGES), 'language'),
+    logoSize: check(options.logo_size || 'l', LOGO_SIZES, 'logo size'),
+    menu: flag(options.menu, true),
+    languageSelector: flag(options.language_selector, true),
+    search: flag(options.search, true),
+    pageHeader: flag(options.page_header, true),
+    breadcrumb: flag(options.breadcrumb, true),
+    footer: check(options.footer || 'full', FOOTER_VARIANTS, 'footer variant'),
+    assets: check(options.assets || 'local', ASSET_SOURCES, 'asset source'),
+    assetPath: String(options.asset_path || 'assets').replace(/\/+$/, ''),
+  };
+}
+
+// Render the starter template. `template` is starter_template.html in the
+// requested flavour, `options` the result of normalizeTemplateOptions.
+// `content`, when given, replaces the sample main content.
+function renderStarterTemplate(template, options, { version, flavour, content }) {
+  const omit = [];
+  if (!options.menu) omit.push('menu');
+  if (!options.languageSelector) omit.push('language-selector');
+  if (!options.search) omit.push('search');
+  if (!options.pageHeader) omit.push('page-header');
+  if (!options.breadcrumb) omit.push('breadcrumb');
+  if (options.footer === 'none') omit.push('footer');
+  if (options.footer === 'simple') omit.push('footer-social', 'footer-links');
+
+  const title = escapeHtml(options.title);
+  const langCode = options.lang.toUpperCase();
+  const langName = EU_LANGUAGES[options.lang];
+
+  let html = template
+    // Generated language list replaces the sample entries
+    .replace(/^([ \t]*)<!-- @section language-list -->\n[\s\S]*?^[ \t]*<!-- @end language-list -->\n/m,
+      (match, indent) => languageList(options.lang, indent));
+  if (content !== undefined) {
+    html = html.replace(/^([ \t]*)<!-- @section main-content -->\n[\s\S]*?^[ \t]*<!-- @end main-content -->\n/m,
+      (match, indent) => indentBlock(content, indent));
+  }
+  html = applySections(html, omit)
+    .replace(/\n\n[ \t]*Template maintainers:[\s\S]*?lib\/template\.js\)\./, '')
+    .replace('<html lang="en"', () => `<html lang="${options.lang}"`)
+    .split(PLACEHOLDER_TITLE).join(title)
+    .split(PLACEHOLDER_HEADING).join(title)
+    .replace('current language is English - EN', () => `current language is ${langName} - ${langCode}`)
+    .replace('<title>EN</title>', () => `<title>${langCode}</title>`)
+    .replace(/(<\/span>\s*)EN(\s*<!-- Current language code -->)/, (match, before, after) => `${before}${langCode}${after}`)
+    .replace(/ecl-site-header-with-logo-[sml]\b/g, `ecl-site-header-with-logo-${options.logoSize}`)
+    .replace(/ecl-site-header__logo-image--[sml]\b/g, `ecl-site-header__logo-image--${options.logoSize}`);
+
+  if (!options.menu) {
+    html = html.replace(' ecl-site-header--has-menu', '');
+  }
+
+  // Asset URLs: "assets/..." in src/href attributes
+  // (logos exist in every official EU language)
+  const cdn = options.assets === 'cdn' ? cdnAssets(flavour, options.lang) : {};
+  html = html.replace(/((?:src|href)=")assets\/([^"#]+)/g, (match, attribute, asset) =>
+    (cdn[asset]
+      ? `${attribute}${CDN_BASE_URL}/v${version}/${flavour}/${cdn[asset]}`
+      : `${attribute}${options.assetPath}/${asset}`));
+
+  return html;
+}
+
+module.exports = {
+  EU_LANGUAGES,
+  LOGO_SIZES,
+  FOOTER_VARIANTS,
+  ASSET_SOURCES,
+  indentBlock,
+  normalizeTemplateOptions,
+  renderStarterTemplate,
+};
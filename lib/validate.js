@@ -0,0 +1,293 @@
+// Lint ECL markup: unknown ecl-* classes, BEM modifiers without their block,
+// components missing data-ecl-auto-init, basic elements missing ecl-u-type-*
+// classes, icon references that are not in the sprite and duplicate ids.
+
+const fs = require('fs');
+const path = require('path');
+
+// Basic elements the starter template requires ecl-u-type-* classes on
+const TYPOGRAPHY_ELEMENTS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li'];
+
+// Class names defined by a stylesheet, e.g. .ecl-u-width-1\/2 -> ecl-u-width-1/2
+function extractStylesheetClasses(css) {
+  const classes = new Set();
+  const regex = /\.(ecl-(?:[\w-]|\\.)+)/g;
+  let match;
+  while ((match = regex.exec(css)) !== null) {
+    classes.add(match[1].replace(/\\(.)/g, '$1'));
+  }
+  return classes;
+}
+
+// Symbol ids of an SVG sprite
+function extractSpriteIcons(svg) {
+  const icons = new Set();
+  const regex = /<symbol\b[^>]*\bid=["']([^"']+)["']/gi;
+  let match;
+  while ((match = regex.exec(svg)) !== null) {
+    icons.add(match[1]);
+  }
+  return icons;
+}
+
+// Classes of every element in a markup string
+function extractMarkupClasses(html) {
+  const classes = new Set();
+  for (const element of parseElements(html)) {
+    element.classes.forEach(c => classes.add(c));
+  }
+  return classes;
+}
+
+// Read the classes of every stylesheet in `cssDir` and the icons of every
+// sprite in `iconsDir` (a missing or null directory yields an empty set).
+// Returns { classes, sprites } where sprites maps file name -> Set of ids.
+function loadAssets(cssDir, iconsDir) {
+  const classes = new Set();
+  const sprites = new Map();
+  const list = dir => (dir && fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+
+  for (const file of list(cssDir).filter(f => f.endsWith('.css'))) {
+    extractStylesheetClasses(fs.readFileSync(path.join(cssDir, file), 'utf8')).forEach(c => classes.add(c));
+  }
+  for (const file of list(iconsDir).filter(f => f.endsWith('.svg'))) {
+    const icons = extractSpriteIcons(fs.readFileSync(path.join(iconsDir, file), 'utf8'));
+    if (icons.size > 0) {
+      sprites.set(file, icons);
+    }
+  }
+  return { classes, sprites };
+}
+
+// What validateMarkup checks against for one ECL version and flavour:
+// classes from the CSS class index (or the stylesheets in `cssDir` when it
+// is not built) plus those used by the documentation examples and
+// `extraMarkup`, blocks that need data-ecl-auto-init, and the icon index (or
+// the sprites in `iconsDir`). `dbAll` is a promisified query helper.
+async function loadValidationContext({ dbAll, version, flavour, cssDir, iconsDir, extraMarkup = [] }) {
+  const indexedClasses = await dbAll(
+    'SELECT name FROM css_classes WHERE ecl_version = ? AND flavour = ?',
+    [version, flavour]
+  );
+  const indexedIcons = await dbAll('SELECT name, sprite FROM icons WHERE ecl_version = ?', [version]);
+
+  let { classes, sprites } = loadAssets(
+    indexedClasses.length > 0 ? null : cssDir,
+    indexedIcons.length > 0 ? null : iconsDir
+  );
+  if (indexedClasses.length > 0) {
+    classes = new Set(indexedClasses.map(row => row.name));
+  }
+  if (indexedIcons.length > 0) {
+    sprites = new Map();
+    for (const icon of indexedIcons) {
+      sprites.set(icon.sprite, (sprites.get(icon.sprite) || new Set()).add(icon.name));
+    }
+  }
+
+  const examples = await dbAll(
+    `SELECT e.code FROM examples e
+     JOIN pages p ON e.page_id = p.id
+     WHERE p.ecl_version = ? AND p.flavour = ?`,
+    [version, flavour]
+  );
+  const codes = [...examples.map(example => example.code), ...extraMarkup];
+  for (const code of codes) {
+    extractMarkupClasses(code).forEach(c => c.startsWith('ecl-') && classes.add(c));
+  }
+
+  return {
+    knownClasses: classes,
+    autoInitBlocks: learnAutoInitBlocks(codes),
+    sprites,
+  };
+}
+
+// Blocks that need JavaScript: block class -> auto-init name, learned from
+// examples where the block element carries data-ecl-auto-init
+function learnAutoInitBlocks(codes) {
+  const seen = new Map();
+  for (const code of codes) {
+    for (const element of parseElements(code)) {
+      for (const block of element.classes.filter(isBlockClass)) {
+        const entry = seen.get(block) || { total: 0, names: new Map() };
+        entry.total++;
+        if (element.autoInit) {
+          entry.names.set(element.autoInit, (entry.names.get(element.autoInit) || 0) + 1);
+        }
+        seen.set(block, entry);
+      }
+    }
+  }
+
+  // Only blocks that are initialised in most of their examples
+  const blocks = new Map();
+  for (const [block, entry] of seen) {
+    const [name, count] = [...entry.names].sort((a, b) => b[1] - a[1])[0] || [];
+    if (name && count * 2 > entry.total) {
+      blocks.set(block, name);
+    }
+  }
+  return blocks;
+}
+
+function isBlockClass(name) {
+  return name.startsWith('ecl-') && !name.startsWith('ecl-u-') && !name.includes('__') && !name.includes('--');
+}
+
+// Opening tags with their line numbers
+function parseElements(html) {
+  const lineStarts = [0];
+  for (let i = 0; i < html.length; i++) {
+    if (html[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineAt = (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  const elements = [];
+  const source = html.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+  const tagRegex = /<([a-zA-Z][\w:-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let match;
+  while ((match = tagRegex.exec(source)) !== null) {
+    const attributes = match[2];
+    const attr = (attrName) => {
+      const found = attributes.match(new RegExp(`(?:^|\\s)${attrName}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+      return found ? (found[1] ?? found[2] ?? found[3]) : null;
+    };
+    elements.push({
+      tag: match[1].toLowerCase(),
+      line: lineAt(match.index),
+      classes: (attr('class') || '').split(/\s+/).filter(c => c),
+      id: attr('id'),
+      autoInit: attr('data-ecl-auto-init'),
+      href: attr('xlink:href') || attr('href'),
+      src: attr('src'),
+    });
+  }
+  return elements;
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Closest known name (class, icon...), for "did you mean"
+function closestName(name, knownNames) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of knownNames) {
+    const distance = editDistance(name, known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return best && bestDistance <= Math.max(3, Math.floor(name.length / 4)) ? best : null;
+}
+
+// Validate a markup string.
+// `knownClasses` is a Set of valid ecl-* classes, `autoInitBlocks` a Map of
+// block class -> auto-init name and `sprites` a Map of sprite file -> Set of
+// icon ids. Returns [{ line, severity, rule, message }] sorted by line.
+function validateMarkup(html, { knownClasses, autoInitBlocks, sprites }) {
+  const findings = [];
+  const add = (line, severity, rule, message) => findings.push({ line, severity, rule, message });
+  const elements = parseElements(html);
+  const ids = new Map();
+
+  for (const element of elements) {
+    // Pasting the same example twice repeats its ids, which breaks labels
+    // and aria-controls
+    if (element.id) {
+      if (ids.has(element.id)) {
+        add(element.line, 'error', 'duplicate-id',
+          `Duplicate id "${element.id}" (first used on line ${ids.get(element.id)})`);
+      } else {
+        ids.set(element.id, element.line);
+      }
+    }
+
+    const eclClasses = element.classes.filter(c => c.startsWith('ecl-'));
+
+    for (const name of eclClasses) {
+      if (knownClasses.size > 0 && !knownClasses.has(name)) {
+        const suggestion = closestName(name, knownClasses);
+        add(element.line, 'error', 'unknown-class',
+          `Unknown ECL class "${name}"${suggestion ? ` - did you mean "${suggestion}"?` : ''}`);
+      }
+
+      // ecl-button--primary needs ecl-button, ecl-card__title--x needs ecl-card__title
+      const modifier = name.lastIndexOf('--');
+      if (modifier > 0 && !name.startsWith('ecl-u-')) {
+        const base = name.substring(0, modifier);
+        if (!element.classes.includes(base)) {
+          add(element.line, 'error', 'modifier-without-block',
+            `Modifier "${name}" used without its base class "${base}" on <${element.tag}>`);
+        }
+      }
+    }
+
+    for (const block of eclClasses.filter(c => autoInitBlocks.has(c))) {
+      if (!element.autoInit) {
+        add(element.line, 'error', 'missing-auto-init',
+          `<${element.tag} class="${block}"> needs data-ecl-auto-init="${autoInitBlocks.get(block)}" to work`);
+      }
+    }
+
+    if (TYPOGRAPHY_ELEMENTS.includes(element.tag) && eclClasses.length === 0) {
+      add(element.line, 'warning', 'missing-typography',
+        `<${element.tag}> has no ECL class - add an ecl-u-type-* class (e.g. ecl-u-type-paragraph) for ECL typography`);
+    }
+
+    if (element.tag === 'use' && element.href && element.href.includes('#')) {
+      const [file, icon] = element.href.split('#');
+      const spriteName = path.basename(file);
+      const sprite = sprites.get(spriteName);
+      const exists = sprite
+        ? sprite.has(icon)
+        : sprites.size === 0 || [...sprites.values()].some(icons => icons.has(icon));
+      if (!exists) {
+        add(element.line, 'error', 'unknown-icon',
+          `Icon "${icon}" does not exist in ${sprite ? spriteName : 'the ECL sprites'}`);
+      }
+    }
+  }
+
+  // Auto-init attributes do nothing until ECL.autoInit() runs
+  const isFullPage = /<body\b/i.test(html);
+  if (isFullPage && elements.some(e => e.autoInit) && !/ECL\.autoInit\s*\(/.test(html)) {
+    add(1, 'warning', 'missing-auto-init-call', 'Page uses data-ecl-auto-init but never calls ECL.autoInit()');
+  }
+
+  return findings.sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  extractStylesheetClasses,
+  extractSpriteIcons,
+  extractMarkupClasses,
+  loadAssets,
+  loadValidationContext,
+  learnAutoInitBlocks,
+  parseElements,
+  isBlockClass,
+  closestName,
+  validateMarkup,
+};
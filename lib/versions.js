@@ -0,0 +1,31 @@
+// ECL release the bundled assets, template and pages-to-crawl.txt are for.
+// Databases built before versions were tracked hold this release.
+const DEFAULT_ECL_VERSION = '4.11.1';
+
+// Accept "4.11.1" or "v4.11.1"
+function normalizeVersion(version) {
+  return String(version).trim().replace(/^v/i, '');
+}
+
+// Compare dotted version strings numerically, so 4.10.0 sorts after 4.9.2
+function compareVersions(a, b) {
+  const left = normalizeVersion(a).split('.').map(n => parseInt(n, 10) || 0);
+  const right = normalizeVersion(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Newest first
+function sortVersions(versions) {
+  return [...versions].sort((a, b) => compareVersions(b, a));
+}
+
+module.exports = {
+  DEFAULT_ECL_VERSION,
+  normalizeVersion,
+  compareVersions,
+  sortVersions,
+};